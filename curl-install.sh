@@ -29,16 +29,45 @@ if ! command -v node &> /dev/null; then
   exit 1
 fi
 
+# Detect the package manager: the packageManager option in hooks-config.js,
+# then the packageManager field in package.json, then the lockfile
+detect_package_manager() {
+  local declared
+  declared=$(node -e "try{const c=require(process.cwd()+'/hooks-config.js');if(c.packageManager){console.log(c.packageManager);process.exit(0)}}catch(e){}try{console.log(String(require(process.cwd()+'/package.json').packageManager||'').split('@')[0])}catch(e){}" 2>/dev/null)
+  case "$declared" in
+    npm|yarn|pnpm|bun) echo "$declared"; return ;;
+  esac
+  if [ -f "pnpm-lock.yaml" ]; then
+    echo "pnpm"
+  elif [ -f "yarn.lock" ]; then
+    echo "yarn"
+  elif [ -f "bun.lockb" ] || [ -f "bun.lock" ]; then
+    echo "bun"
+  else
+    echo "npm"
+  fi
+}
+
 # Print header
 echo "🚀 React Build Git Hooks Installer"
 echo "======================================"
 echo
 
+# Use the project's package manager for installs and the hook
+PM=$(detect_package_manager)
+case "$PM" in
+  yarn) PM_ADD_DEV="yarn add --dev"; PM_EXEC="yarn" ;;
+  pnpm) PM_ADD_DEV="pnpm add --save-dev"; PM_EXEC="pnpm exec" ;;
+  bun) PM_ADD_DEV="bun add --dev"; PM_EXEC="bunx" ;;
+  *) PM_ADD_DEV="npm install --save-dev"; PM_EXEC="npx" ;;
+esac
+echo "✅ Using $PM"
+
 # Check if husky is installed
 if [ ! -d "node_modules/husky" ] && ! grep -q "husky" package.json; then
   echo "📦 Installing husky..."
-  npm install husky --save-dev
-  npx husky init
+  $PM_ADD_DEV husky
+  $PM_EXEC husky init
 else
   echo "✅ Husky is already installed."
 fi
@@ -57,6 +86,8 @@ mkdir -p templates
 # Copy scripts
 cp -f "$TEMP_DIR/scripts/build-react-apps.js" "scripts/"
 cp -f "$TEMP_DIR/scripts/check-gitignore.js" "scripts/"
+cp -f "$TEMP_DIR/scripts/check-secrets.js" "scripts/"
+cp -f "$TEMP_DIR/scripts/check-env.js" "scripts/"
 cp -f "$TEMP_DIR/scripts/check-lowercase.js" "scripts/"
 cp -f "$TEMP_DIR/scripts/git-reminder.js" "scripts/"
 
@@ -70,6 +101,8 @@ cp -f "$TEMP_DIR/hooks-config.mjs" "./"
 # Make scripts executable
 chmod +x scripts/build-react-apps.js
 chmod +x scripts/check-gitignore.js
+chmod +x scripts/check-secrets.js
+chmod +x scripts/check-env.js
 chmod +x scripts/check-lowercase.js
 chmod +x scripts/git-reminder.js
 
@@ -80,6 +113,8 @@ echo "📝 Updating package.json..."
 if command -v jq &> /dev/null; then
   # Use jq to update package.json
   jq '.scripts["check-gitignore"] = "node scripts/check-gitignore.js"' package.json > package.json.tmp && mv package.json.tmp package.json
+  jq '.scripts["check-secrets"] = "node scripts/check-secrets.js"' package.json > package.json.tmp && mv package.json.tmp package.json
+  jq '.scripts["check-env"] = "node scripts/check-env.js"' package.json > package.json.tmp && mv package.json.tmp package.json
   jq '.scripts["check-lowercase"] = "node scripts/check-lowercase.js"' package.json > package.json.tmp && mv package.json.tmp package.json
   jq '.scripts["git-reminder"] = "node scripts/git-reminder.js"' package.json > package.json.tmp && mv package.json.tmp package.json
 else
@@ -89,6 +124,14 @@ else
     sed -i.bak 's/"scripts": {/"scripts": {\n    "check-gitignore": "node scripts\/check-gitignore.js",/' package.json && rm -f package.json.bak
   fi
   
+  if ! grep -q '"check-secrets":' package.json; then
+    sed -i.bak 's/"scripts": {/"scripts": {\n    "check-secrets": "node scripts\/check-secrets.js",/' package.json && rm -f package.json.bak
+  fi
+  
+  if ! grep -q '"check-env":' package.json; then
+    sed -i.bak 's/"scripts": {/"scripts": {\n    "check-env": "node scripts\/check-env.js",/' package.json && rm -f package.json.bak
+  fi
+  
   if ! grep -q '"check-lowercase":' package.json; then
     sed -i.bak 's/"scripts": {/"scripts": {\n    "check-lowercase": "node scripts\/check-lowercase.js",/' package.json && rm -f package.json.bak
   fi
@@ -101,21 +144,27 @@ fi
 # Create pre-commit hook
 echo "📝 Creating pre-commit hook..."
 mkdir -p .husky
-cat > .husky/pre-commit << 'EOF'
+cat > .husky/pre-commit << EOF
 #!/bin/sh
-. "$(dirname "$0")/_/husky.sh"
+. "\$(dirname "\$0")/_/husky.sh"
 
 # Check .gitignore for sensitive files
-npm run check-gitignore
+$PM run check-gitignore
+
+# Scan staged changes for hard-coded secrets
+$PM run check-secrets
+
+# Block staged .env files and compare keys with .env.example
+$PM run check-env
 
 # Check for lowercase file names and import statements
-npm run check-lowercase
+$PM run check-lowercase
 
 # Run build for React apps directly
-npm run build
+$PM run build
 
 # Run git reminder
-npm run git-reminder
+$PM run git-reminder
 EOF
 
 # Make hook executable
@@ -126,6 +175,8 @@ echo
 echo "The following hooks have been installed:"
 echo "- Build verification: Ensures your React app builds successfully before committing"
 echo "- Gitignore check: Ensures your .gitignore contains essential patterns"
+echo "- Secret scan: Blocks commits that add API keys, tokens or private keys"
+echo "- Env file check: Blocks staged .env files and compares their keys with .env.example"
 echo "- Lowercase check: Suggests using lowercase for file names and import paths"
 echo "- Git reminder: Reminds you to commit regularly and checks for uncommitted changes"
 echo
@@ -24,6 +24,25 @@ if [ ! -d ".git" ]; then
   exit 1
 fi
 
+# Detect the package manager: the packageManager option in hooks-config.js,
+# then the packageManager field in package.json, then the lockfile
+detect_package_manager() {
+  local declared
+  declared=$(node -e "try{const c=require(process.cwd()+'/hooks-config.js');if(c.packageManager){console.log(c.packageManager);process.exit(0)}}catch(e){}try{console.log(String(require(process.cwd()+'/package.json').packageManager||'').split('@')[0])}catch(e){}" 2>/dev/null)
+  case "$declared" in
+    npm|yarn|pnpm|bun) echo "$declared"; return ;;
+  esac
+  if [ -f "pnpm-lock.yaml" ]; then
+    echo "pnpm"
+  elif [ -f "yarn.lock" ]; then
+    echo "yarn"
+  elif [ -f "bun.lockb" ] || [ -f "bun.lock" ]; then
+    echo "bun"
+  else
+    echo "npm"
+  fi
+}
+
 # Print header
 echo "🔄 React Build Git Hooks Updater"
 echo "======================================"
@@ -66,6 +85,8 @@ mkdir -p templates
 # Copy scripts from the temp directory
 cp -f "$TEMP_DIR/scripts/build-react-apps.js" "scripts/"
 cp -f "$TEMP_DIR/scripts/check-gitignore.js" "scripts/"
+cp -f "$TEMP_DIR/scripts/check-secrets.js" "scripts/"
+cp -f "$TEMP_DIR/scripts/check-env.js" "scripts/"
 cp -f "$TEMP_DIR/scripts/check-lowercase.js" "scripts/"
 cp -f "$TEMP_DIR/scripts/git-reminder.js" "scripts/"
 
@@ -90,6 +111,8 @@ fi
 # Make scripts executable
 chmod +x "scripts/build-react-apps.js"
 chmod +x "scripts/check-gitignore.js"
+chmod +x "scripts/check-secrets.js"
+chmod +x "scripts/check-env.js"
 chmod +x "scripts/check-lowercase.js"
 chmod +x "scripts/git-reminder.js"
 
@@ -102,6 +125,8 @@ if [ -f "package.json" ]; then
   if command -v jq &> /dev/null; then
     # Use jq to update package.json
     jq '.scripts["check-gitignore"] = "node scripts/check-gitignore.js"' package.json > package.json.tmp && mv package.json.tmp package.json
+    jq '.scripts["check-secrets"] = "node scripts/check-secrets.js"' package.json > package.json.tmp && mv package.json.tmp package.json
+    jq '.scripts["check-env"] = "node scripts/check-env.js"' package.json > package.json.tmp && mv package.json.tmp package.json
     jq '.scripts["check-lowercase"] = "node scripts/check-lowercase.js"' package.json > package.json.tmp && mv package.json.tmp package.json
     jq '.scripts["git-reminder"] = "node scripts/git-reminder.js"' package.json > package.json.tmp && mv package.json.tmp package.json
   else
@@ -111,6 +136,14 @@ if [ -f "package.json" ]; then
       sed -i.bak 's/"scripts": {/"scripts": {\n    "check-gitignore": "node scripts\/check-gitignore.js",/' package.json && rm -f package.json.bak
     fi
     
+    if ! grep -q '"check-secrets":' package.json; then
+      sed -i.bak 's/"scripts": {/"scripts": {\n    "check-secrets": "node scripts\/check-secrets.js",/' package.json && rm -f package.json.bak
+    fi
+    
+    if ! grep -q '"check-env":' package.json; then
+      sed -i.bak 's/"scripts": {/"scripts": {\n    "check-env": "node scripts\/check-env.js",/' package.json && rm -f package.json.bak
+    fi
+    
     if ! grep -q '"check-lowercase":' package.json; then
       sed -i.bak 's/"scripts": {/"scripts": {\n    "check-lowercase": "node scripts\/check-lowercase.js",/' package.json && rm -f package.json.bak
     fi
@@ -127,25 +160,36 @@ fi
 echo
 echo "📝 Updating pre-commit hook..."
 
+# Use the project's package manager in the hook
+PM=$(detect_package_manager)
+
 # Check if the pre-commit hook already includes our scripts
-if ! grep -q "check-gitignore" .husky/pre-commit || ! grep -q "check-lowercase" .husky/pre-commit || ! grep -q "git-reminder" .husky/pre-commit; then
+if ! grep -q "check-gitignore" .husky/pre-commit || ! grep -q "check-secrets" .husky/pre-commit || ! grep -q "check-env" .husky/pre-commit || ! grep -q "check-lowercase" .husky/pre-commit || ! grep -q "git-reminder" .husky/pre-commit; then
   # Add our scripts to the pre-commit hook
   sed -i.bak '/npm test/d' .husky/pre-commit
   
   if ! grep -q "check-gitignore" .husky/pre-commit; then
-    echo -e "\n# Check .gitignore for sensitive files\nnpm run check-gitignore" >> .husky/pre-commit
+    echo -e "\n# Check .gitignore for sensitive files\n$PM run check-gitignore" >> .husky/pre-commit
+  fi
+  
+  if ! grep -q "check-secrets" .husky/pre-commit; then
+    echo -e "\n# Scan staged changes for hard-coded secrets\n$PM run check-secrets" >> .husky/pre-commit
+  fi
+  
+  if ! grep -q "check-env" .husky/pre-commit; then
+    echo -e "\n# Block staged .env files and compare keys with .env.example\n$PM run check-env" >> .husky/pre-commit
   fi
   
   if ! grep -q "check-lowercase" .husky/pre-commit; then
-    echo -e "\n# Check for lowercase file names and import statements\nnpm run check-lowercase" >> .husky/pre-commit
+    echo -e "\n# Check for lowercase file names and import statements\n$PM run check-lowercase" >> .husky/pre-commit
   fi
   
-  if ! grep -q "build-react-apps" .husky/pre-commit && ! grep -q "npm run build" .husky/pre-commit; then
-    echo -e "\n# Run build for React apps directly\nnpm run build" >> .husky/pre-commit
+  if ! grep -q "build-react-apps" .husky/pre-commit && ! grep -q "$PM run build" .husky/pre-commit; then
+    echo -e "\n# Run build for React apps directly\n$PM run build" >> .husky/pre-commit
   fi
   
   if ! grep -q "git-reminder" .husky/pre-commit; then
-    echo -e "\n# Run git reminder\nnpm run git-reminder" >> .husky/pre-commit
+    echo -e "\n# Run git reminder\n$PM run git-reminder" >> .husky/pre-commit
   fi
   
   rm -f .husky/pre-commit.bak
@@ -163,5 +207,7 @@ echo "- Added Husky v10 compatibility"
 echo "- Improved error handling"
 echo "- Added lowercase naming suggestions"
 echo "- Added Git reminder feature"
+echo "- Added staged secret scanning"
+echo "- Added .env staging guard and template key checks"
 echo "- Added configurable hooks system"
 echo "- Added uninstallation options"
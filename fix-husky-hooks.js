@@ -7,6 +7,42 @@
 const fs = require('fs');
 const path = require('path');
 
+// Commands for each supported package manager
+const packageManagerCommands = {
+  npm: { install: 'npm install', addDev: 'npm install --save-dev', run: 'npm run', exec: 'npx' },
+  yarn: { install: 'yarn install', addDev: 'yarn add --dev', run: 'yarn run', exec: 'yarn' },
+  pnpm: { install: 'pnpm install', addDev: 'pnpm add --save-dev', run: 'pnpm run', exec: 'pnpm exec' },
+  bun: { install: 'bun install', addDev: 'bun add --dev', run: 'bun run', exec: 'bunx' }
+};
+
+// Detect the project's package manager: the packageManager option in
+// hooks-config.js, then the packageManager field in package.json, then the lockfile
+function detectPackageManager(dir) {
+  const candidates = [];
+  
+  try {
+    candidates.push(require(path.join(dir, 'hooks-config.js')).packageManager);
+  } catch (error) {
+    // No usable config file, keep detecting
+  }
+  
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+    candidates.push(String(packageJson.packageManager || '').split('@')[0]);
+  } catch (error) {
+    // No usable package.json, keep detecting
+  }
+  
+  const lockfiles = { 'pnpm-lock.yaml': 'pnpm', 'yarn.lock': 'yarn', 'bun.lockb': 'bun', 'bun.lock': 'bun' };
+  for (const [lockfile, name] of Object.entries(lockfiles)) {
+    if (fs.existsSync(path.join(dir, lockfile))) {
+      candidates.push(name);
+    }
+  }
+  
+  return candidates.find(name => packageManagerCommands[name]) || 'npm';
+}
+
 console.log('🔧 Fixing Husky hooks for v10 compatibility...');
 
 // Define paths to check
@@ -18,6 +54,9 @@ if (!fs.existsSync(huskyDir)) {
   process.exit(1);
 }
 
+// Use the project's package manager in the hook scripts
+const pm = packageManagerCommands[detectPackageManager(process.cwd())];
+
 let fixedCount = 0;
 
 // Fix each hook type if it exists
@@ -37,10 +76,10 @@ hookTypes.forEach(hookType => {
         const updatedHookContent = `#!/bin/sh
 
 # Check .gitignore for sensitive files
-npm run check-gitignore
+${pm.run} check-gitignore
 
 # Run build for React apps
-npm run build:dev
+${pm.run} build:dev
 `;
         
         // Write the updated hook
@@ -86,5 +125,5 @@ try {
 }
 
 console.log('\n📋 Next steps:');
-console.log('1. Run: npm install');
+console.log(`1. Run: ${pm.install}`);
 console.log('2. Try committing again');
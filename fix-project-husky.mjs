@@ -7,12 +7,49 @@
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { execSync } from 'child_process';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Commands for each supported package manager
+const packageManagerCommands = {
+  npm: { install: 'npm install', addDev: 'npm install --save-dev', run: 'npm run', exec: 'npx' },
+  yarn: { install: 'yarn install', addDev: 'yarn add --dev', run: 'yarn run', exec: 'yarn' },
+  pnpm: { install: 'pnpm install', addDev: 'pnpm add --save-dev', run: 'pnpm run', exec: 'pnpm exec' },
+  bun: { install: 'bun install', addDev: 'bun add --dev', run: 'bun run', exec: 'bunx' }
+};
+
+// Detect the project's package manager: the packageManager option in
+// hooks-config.mjs, then the packageManager field in package.json, then the lockfile
+async function detectPackageManager(dir) {
+  const candidates = [];
+  
+  try {
+    const config = await import(pathToFileURL(path.join(dir, 'hooks-config.mjs')).href);
+    candidates.push(config.default.packageManager);
+  } catch (error) {
+    // No usable config file, keep detecting
+  }
+  
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+    candidates.push(String(packageJson.packageManager || '').split('@')[0]);
+  } catch (error) {
+    // No usable package.json, keep detecting
+  }
+  
+  const lockfiles = { 'pnpm-lock.yaml': 'pnpm', 'yarn.lock': 'yarn', 'bun.lockb': 'bun', 'bun.lock': 'bun' };
+  for (const [lockfile, name] of Object.entries(lockfiles)) {
+    if (fs.existsSync(path.join(dir, lockfile))) {
+      candidates.push(name);
+    }
+  }
+  
+  return candidates.find(name => packageManagerCommands[name]) || 'npm';
+}
+
 console.log('🔧 Fixing Husky hooks for v10 compatibility...');
 
 // Define paths to check
@@ -23,15 +60,18 @@ if (!fs.existsSync(huskyDir)) {
   fs.mkdirSync(huskyDir, { recursive: true });
 }
 
+// Use the project's package manager in the hook and generated scripts
+const pm = packageManagerCommands[await detectPackageManager(process.cwd())];
+
 // Check for pre-commit hook
 const preCommitPath = path.join(huskyDir, 'pre-commit');
 const preCommitContent = `#!/bin/sh
 
 # Check .gitignore for sensitive files
-npm run check-gitignore
+${pm.run} check-gitignore
 
 # Run build for React apps
-npm run build:dev
+${pm.run} build:dev
 `;
 
 // Write the updated pre-commit hook
@@ -67,77 +107,20 @@ try {
       fs.mkdirSync(scriptsDir, { recursive: true });
     }
     
-    // Check if check-gitignore.js exists, if not create it
+    // Copy the same check-gitignore.js the other installers use, so the
+    // hook behaves alike however it was installed
     const checkGitignorePath = path.join(scriptsDir, 'check-gitignore.js');
     if (!fs.existsSync(checkGitignorePath)) {
-      console.log('📝 Creating check-gitignore.js script...');
-      const checkGitignoreContent = `// Script to check and update .gitignore file
-import fs from 'fs';
-import path from 'path';
-
-console.log('🔍 Checking .gitignore file...');
-
-// Path to .gitignore file
-const gitignorePath = path.join(process.cwd(), '.gitignore');
-
-// Essential patterns that should be in .gitignore
-const essentialPatterns = [
-  'node_modules',
-  '.env',
-  '.env.local',
-  '.env.development.local',
-  '.env.test.local',
-  '.env.production.local',
-  'npm-debug.log*',
-  'yarn-debug.log*',
-  'yarn-error.log*',
-  '.DS_Store',
-  'build',
-  'dist',
-  'coverage'
-];
-
-// Read existing .gitignore or create a new one
-let existingContent = '';
-if (fs.existsSync(gitignorePath)) {
-  existingContent = fs.readFileSync(gitignorePath, 'utf8');
-} else {
-  console.log('⚠️ No .gitignore found. Creating a new one...');
-}
-
-// Check which patterns are missing
-const missingPatterns = [];
-for (const pattern of essentialPatterns) {
-  if (!existingContent.includes(pattern)) {
-    missingPatterns.push(pattern);
-  }
-}
-
-// Add missing patterns if any
-if (missingPatterns.length > 0) {
-  console.log('⚠️ Adding missing patterns to .gitignore:', missingPatterns.join(', '));
-  
-  // Add a header for our additions
-  let additions = '';
-  if (existingContent && !existingContent.endsWith('\\n')) {
-    additions += '\\n';
-  }
-  additions += '# Added by React Build Git Hooks\\n';
-  
-  // Add each missing pattern
-  for (const pattern of missingPatterns) {
-    additions += pattern + '\\n';
-  }
-  
-  // Write the updated content
-  fs.writeFileSync(gitignorePath, existingContent + additions);
-  console.log('✅ .gitignore updated successfully!');
-} else {
-  console.log('✅ .gitignore already contains all essential patterns.');
-}
-`;
-      fs.writeFileSync(checkGitignorePath, checkGitignoreContent);
-      fs.chmodSync(checkGitignorePath, '755');
+      const sourcePath = path.join(__dirname, 'scripts', 'check-gitignore.js');
+      
+      if (fs.existsSync(sourcePath)) {
+        console.log('📝 Copying check-gitignore.js script...');
+        fs.copyFileSync(sourcePath, checkGitignorePath);
+        fs.chmodSync(checkGitignorePath, '755');
+      } else {
+        console.error(`❌ Could not find ${sourcePath}.`);
+        console.log('Please run this script from the react-build-git-hooks folder, or copy scripts/check-gitignore.js yourself.');
+      }
     }
     
     packageJson.scripts['check-gitignore'] = 'node scripts/check-gitignore.js';
@@ -229,7 +212,7 @@ for (const appDir of reactApps) {
     
     if (packageJson.scripts && packageJson.scripts.build) {
       // Run the build script
-      execSync('npm run build', { cwd: appDir, stdio: 'inherit' });
+      execSync('${pm.run} build', { cwd: appDir, stdio: 'inherit' });
       console.log(\`✅ Successfully built \${relativePath}\`);
     } else {
       console.log(\`⚠️ No build script found in \${relativePath}\`);
@@ -265,7 +248,7 @@ console.log('\\n🎉 All builds completed successfully!');
   // Make sure husky is installed
   if (!packageJson.devDependencies || !packageJson.devDependencies.husky) {
     console.log('⚠️ Husky is not listed as a dev dependency in package.json.');
-    console.log('Please run: npm install husky --save-dev');
+    console.log(`Please run: ${pm.addDev} husky`);
   }
   
 } catch (error) {
@@ -274,5 +257,5 @@ console.log('\\n🎉 All builds completed successfully!');
 
 console.log('\n🎉 Husky hooks fixed for v10 compatibility!');
 console.log('\n📋 Next steps:');
-console.log('1. Run: npm install');
+console.log(`1. Run: ${pm.install}`);
 console.log('2. Try committing again');
@@ -8,22 +8,98 @@
  */
 
 module.exports = {
+  // Package manager used for builds, installs and the hook scripts:
+  // 'npm', 'yarn', 'pnpm' or 'bun'. When null it is detected from the
+  // packageManager field in package.json or the lockfile.
+  packageManager: null,
+  
   // Build verification hook
   build: {
-    enforce: true, // Block commits if build fails
-    enabled: true  // Enable build verification
+    enforce: true,  // Block commits if build fails
+    enabled: true,  // Enable build verification
+    concurrency: 1, // Number of monorepo apps to build in parallel
+    timeoutSeconds: 600, // Stop a build that runs longer than this (0 for no limit)
+    staged: false,   // Build the staged snapshot in a temporary checkout instead of the working tree
+    delegate: false, // Let Nx or Turborepo pick and build the affected projects
+    lernaList: false, // Ask the lerna CLI for the package list instead of reading lerna.json
+    mode: 'full',    // 'full' build, 'typecheck' only (apps without one are not checked), or 'auto' (per framework)
+    script: 'build', // package.json script that builds each app
+    command: null,   // Shell command to run instead of the script
+    env: {},         // Extra environment variables, e.g. { CI: 'true', GENERATE_SOURCEMAP: 'false' }
+    cleanTree: 'warn', // Files the build changes outside ignored paths: 'warn', 'fail', 'restore' or false
+    
+    // Per-app overrides keyed by workspace name or path glob. Each one can
+    // set mode, script, command, cwd (relative to the app), env, outputDir and skip.
+    apps: {
+      // 'apps/admin': { script: 'build:staging' },
+      // 'packages/*': { command: 'tsc --noEmit' },
+      // '@acme/docs': { skip: true }
+    },
+    
+    // Bundle size budgets, checked against the output of full builds
+    budgets: {
+      enabled: false,
+      baseline: 'bundle-size-baseline.json', // Committed sizes to compare growth against
+      maxGrowthPercent: null, // Maximum gzip growth per file over the baseline, e.g. 10
+      limits: {
+        // 'static/js/*.js': { size: '500 kB', gzip: '150 kB' }
+      }
+    },
+    
+    // Warning ratchet: block (or warn) when an app's build warnings increase
+    warnings: {
+      enabled: false,
+      baseline: 'build-warnings-baseline.json' // Committed warning counts, lowered automatically
+    }
   },
   
   // Gitignore check hook
   gitignore: {
     enforce: true, // Block commits if .gitignore is missing essential patterns
-    enabled: true  // Enable gitignore check
+    enabled: true, // Enable gitignore check
+    autoFix: false,  // Add missing patterns to a managed block in .gitignore instead of failing
+    stageFix: false, // Stage the fixed .gitignore so it is part of the commit being made
+    
+    // Add, downgrade or remove patterns: 'required', 'recommended' or false
+    patterns: {
+      // 'tmp/': 'required',
+      // '.vscode/': false,
+      // 'coverage': 'recommended'
+    }
+  },
+  
+  // Secret scanning hook
+  secrets: {
+    enforce: true, // Block commits that add credentials to the staged diff
+    enabled: true, // Enable secret scanning
+    allowlistFile: '.secrets-allowlist', // Path globs and fingerprints of accepted findings
+    entropyThreshold: 3.5 // Minimum entropy (bits per char) for generic key = '...' assignments
+  },
+  
+  // Env file hook
+  env: {
+    enforce: true, // Block commits that stage .env files other than templates
+    enabled: true, // Enable env file check
+    templates: ['.env.example', '.env.template', '.env.sample'], // Env files that may be committed
+    keyParity: 'warn' // Compare local .env keys with the templates: 'warn', 'fail' or false
   },
   
   // Lowercase check hook
   lowercase: {
     enforce: false, // Only warn about uppercase file names and imports
-    enabled: true   // Enable lowercase check
+    enabled: true,  // Enable lowercase check
+    staged: true,   // Read the staged contents of files instead of the working tree
+    autoFix: false, // Rename staged files to their suggested names and update imports instead of only reporting them
+    importCase: 'fail', // Imports whose letter case differs from the file they import: 'fail', 'warn' or false
+    
+    // Naming conventions per path glob (later globs win). Files matching none must be lowercase.
+    // Styles: 'lowercase', 'kebab-case', 'camelCase', 'PascalCase', 'snake_case', a RegExp,
+    // { style, prefix } or false to skip the check
+    conventions: {
+      // 'src/components/**/*.{jsx,tsx}': 'PascalCase',
+      // 'src/hooks/**': { style: 'camelCase', prefix: 'use' },
+      // 'src/utils/**': 'kebab-case'
+    }
   },
   
   // Git reminder hook
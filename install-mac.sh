@@ -38,9 +38,38 @@ if [ ! -f "package.json" ]; then
 fi
 echo "✅ package.json detected"
 
+# Detect the package manager: the packageManager option in hooks-config.js,
+# then the packageManager field in package.json, then the lockfile
+detect_package_manager() {
+    local declared
+    declared=$(node -e "try{const c=require(process.cwd()+'/hooks-config.js');if(c.packageManager){console.log(c.packageManager);process.exit(0)}}catch(e){}try{console.log(String(require(process.cwd()+'/package.json').packageManager||'').split('@')[0])}catch(e){}" 2>/dev/null)
+    case "$declared" in
+        npm|yarn|pnpm|bun) echo "$declared"; return ;;
+    esac
+    if [ -f "pnpm-lock.yaml" ]; then
+        echo "pnpm"
+    elif [ -f "yarn.lock" ]; then
+        echo "yarn"
+    elif [ -f "bun.lockb" ] || [ -f "bun.lock" ]; then
+        echo "bun"
+    else
+        echo "npm"
+    fi
+}
+
+# Use the project's package manager for installs and the hook
+PM=$(detect_package_manager)
+case "$PM" in
+    yarn) PM_ADD_DEV="yarn add --dev"; PM_EXEC="yarn" ;;
+    pnpm) PM_ADD_DEV="pnpm add --save-dev"; PM_EXEC="pnpm exec" ;;
+    bun) PM_ADD_DEV="bun add --dev"; PM_EXEC="bunx" ;;
+    *) PM_ADD_DEV="npm install --save-dev"; PM_EXEC="npx" ;;
+esac
+echo "✅ Using $PM"
+
 # Install Husky
 echo -e "\nInstalling Husky..."
-npm install husky --save-dev
+$PM_ADD_DEV husky
 
 # Create scripts directory if it doesn't exist
 if [ ! -d "scripts" ]; then
@@ -64,7 +93,7 @@ node "$SCRIPT_DIR/scripts/update-package-json.js" "$(pwd)/package.json"
 
 # Initialize Husky
 echo -e "\nInitializing Husky..."
-npx husky install
+$PM_EXEC husky install
 
 # Ask which hook to use
 echo -e "\nWhich hook would you like to use?"
@@ -89,10 +118,10 @@ cat > ".husky/$hook_type" << EOL
 . "\$(dirname "\$0")/_/husky.sh"
 
 # Check .gitignore for sensitive files
-npm run check-gitignore
+$PM run check-gitignore
 
 # Run build for React apps
-npm run build:dev
+$PM run build:dev
 EOL
 
 # Make the hook executable
@@ -107,7 +136,7 @@ echo "1. Check and update .gitignore for sensitive files"
 echo "2. Enforce building React apps"
 echo -e "\nThese checks will run before each ${hook_type/pre-/}"
 echo -e "\nTo distribute to your team, they just need to run:"
-echo "  npm install"
+echo "  $PM install"
 echo ""
 
 read -p "Press Enter to exit..."
@@ -7,6 +7,42 @@ const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 
+// Commands for each supported package manager
+const packageManagerCommands = {
+  npm: { install: 'npm install', addDev: 'npm install --save-dev', run: 'npm run', exec: 'npx' },
+  yarn: { install: 'yarn install', addDev: 'yarn add --dev', run: 'yarn run', exec: 'yarn' },
+  pnpm: { install: 'pnpm install', addDev: 'pnpm add --save-dev', run: 'pnpm run', exec: 'pnpm exec' },
+  bun: { install: 'bun install', addDev: 'bun add --dev', run: 'bun run', exec: 'bunx' }
+};
+
+// Detect the project's package manager: the packageManager option in
+// hooks-config.js, then the packageManager field in package.json, then the lockfile
+function detectPackageManager(dir) {
+  const candidates = [];
+  
+  try {
+    candidates.push(require(path.join(dir, 'hooks-config.js')).packageManager);
+  } catch (error) {
+    // No usable config file, keep detecting
+  }
+  
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+    candidates.push(String(packageJson.packageManager || '').split('@')[0]);
+  } catch (error) {
+    // No usable package.json, keep detecting
+  }
+  
+  const lockfiles = { 'pnpm-lock.yaml': 'pnpm', 'yarn.lock': 'yarn', 'bun.lockb': 'bun', 'bun.lock': 'bun' };
+  for (const [lockfile, name] of Object.entries(lockfiles)) {
+    if (fs.existsSync(path.join(dir, lockfile))) {
+      candidates.push(name);
+    }
+  }
+  
+  return candidates.find(name => packageManagerCommands[name]) || 'npm';
+}
+
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout
@@ -41,10 +77,14 @@ try {
   process.exit(1);
 }
 
+// Use the project's package manager for installs and the hook script
+const packageManager = detectPackageManager(targetDir);
+const pm = packageManagerCommands[packageManager];
+
 // Add husky as a dev dependency if not already present
-console.log('\n📦 Adding husky to your project...');
+console.log(`\n📦 Adding husky to your project with ${packageManager}...`);
 try {
-  execSync('npm install husky --save-dev', { cwd: targetDir, stdio: 'inherit' });
+  execSync(`${pm.addDev} husky`, { cwd: targetDir, stdio: 'inherit' });
 } catch (error) {
   console.error('❌ Failed to install husky:', error.message);
   process.exit(1);
@@ -68,6 +108,18 @@ fs.copyFileSync(
   path.join(scriptsDir, 'check-gitignore.js')
 );
 
+// Copy check-secrets.js to the target project
+fs.copyFileSync(
+  path.join(__dirname, 'scripts', 'check-secrets.js'),
+  path.join(scriptsDir, 'check-secrets.js')
+);
+
+// Copy check-env.js to the target project
+fs.copyFileSync(
+  path.join(__dirname, 'scripts', 'check-env.js'),
+  path.join(scriptsDir, 'check-env.js')
+);
+
 // Copy check-lowercase.js to the target project
 fs.copyFileSync(
   path.join(__dirname, 'scripts', 'check-lowercase.js'),
@@ -96,6 +148,8 @@ fs.copyFileSync(
 try {
   fs.chmodSync(path.join(scriptsDir, 'build-react-apps.js'), '755');
   fs.chmodSync(path.join(scriptsDir, 'check-gitignore.js'), '755');
+  fs.chmodSync(path.join(scriptsDir, 'check-secrets.js'), '755');
+  fs.chmodSync(path.join(scriptsDir, 'check-env.js'), '755');
   fs.chmodSync(path.join(scriptsDir, 'check-lowercase.js'), '755');
   fs.chmodSync(path.join(scriptsDir, 'git-reminder.js'), '755');
 } catch (error) {
@@ -115,6 +169,12 @@ if (!targetPackageJson.scripts['build:dev']) {
 if (!targetPackageJson.scripts['check-gitignore']) {
   targetPackageJson.scripts['check-gitignore'] = 'node scripts/check-gitignore.js';
 }
+if (!targetPackageJson.scripts['check-secrets']) {
+  targetPackageJson.scripts['check-secrets'] = 'node scripts/check-secrets.js';
+}
+if (!targetPackageJson.scripts['check-env']) {
+  targetPackageJson.scripts['check-env'] = 'node scripts/check-env.js';
+}
 if (!targetPackageJson.scripts['check-lowercase']) {
   targetPackageJson.scripts['check-lowercase'] = 'node scripts/check-lowercase.js';
 }
@@ -133,7 +193,7 @@ rl.question('\n🤔 Which hook would you like to use?\n1. pre-commit (runs befor
   
   // Initialize Husky
   try {
-    execSync('npx husky install', { cwd: targetDir, stdio: 'inherit' });
+    execSync(`${pm.exec} husky install`, { cwd: targetDir, stdio: 'inherit' });
   } catch (error) {
     console.error('❌ Failed to initialize Husky:', error.message);
     process.exit(1);
@@ -145,16 +205,22 @@ rl.question('\n🤔 Which hook would you like to use?\n1. pre-commit (runs befor
     const hookScript = `#!/bin/sh
 
 # Check .gitignore for sensitive files
-npm run check-gitignore
+${pm.run} check-gitignore
+
+# Scan staged changes for hard-coded secrets
+${pm.run} check-secrets
+
+# Block staged .env files and compare keys with .env.example
+${pm.run} check-env
 
 # Check for lowercase file names and import statements
-npm run check-lowercase
+${pm.run} check-lowercase
 
 # Run build for React apps directly
-npm run build
+${pm.run} build
 
 # Run git reminder
-npm run git-reminder
+${pm.run} git-reminder
 `;
 
     // Create the hook file path
@@ -176,12 +242,14 @@ npm run git-reminder
   
   console.log('\n🎉 Setup complete! The Git hook will now:');
   console.log('1. Check and update .gitignore for sensitive files');
-  console.log('2. Check for lowercase file names and import statements');
-  console.log('3. Enforce building React apps');
-  console.log('4. Run git reminder');
+  console.log('2. Scan staged changes for hard-coded secrets');
+  console.log('3. Block staged .env files and check their keys against .env.example');
+  console.log('4. Check for lowercase file names and import statements');
+  console.log('5. Enforce building React apps');
+  console.log('6. Run git reminder');
   console.log(`These checks will run before each ${hookType === 'pre-commit' ? 'commit' : 'push'}.`);
   console.log('\n👥 To distribute to your team, they just need to run:');
-  console.log('   npm install');
+  console.log(`   ${pm.install}`);
   
   rl.close();
 });
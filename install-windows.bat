@@ -35,8 +35,33 @@ if not exist package.json (
     exit /b 1
 )
 
+:: Detect the package manager: the packageManager option in hooks-config.js,
+:: then the packageManager field in package.json, then the lockfile
+set pm=npm
+if exist bun.lockb set pm=bun
+if exist bun.lock set pm=bun
+if exist yarn.lock set pm=yarn
+if exist pnpm-lock.yaml set pm=pnpm
+for /f "delims=" %%p in ('node -e "var n='';try{n=require(process.cwd()+'/hooks-config.js').packageManager}catch(e){}if(!n){try{n=String(require(process.cwd()+'/package.json').packageManager).split('@')[0]}catch(e){}}if(['npm','yarn','pnpm','bun'].indexOf(n)!==-1)console.log(n)"') do set pm=%%p
+
+set "pm_add_dev=npm install --save-dev"
+set "pm_exec=npx"
+if "%pm%"=="yarn" (
+    set "pm_add_dev=yarn add --dev"
+    set "pm_exec=yarn"
+)
+if "%pm%"=="pnpm" (
+    set "pm_add_dev=pnpm add --save-dev"
+    set "pm_exec=pnpm exec"
+)
+if "%pm%"=="bun" (
+    set "pm_add_dev=bun add --dev"
+    set "pm_exec=bunx"
+)
+echo Using %pm%
+
 echo Installing Husky...
-call npm install husky --save-dev
+call %pm_add_dev% husky
 
 :: Create scripts directory if it doesn't exist
 if not exist scripts mkdir scripts
@@ -52,7 +77,7 @@ node "%~dp0scripts\update-package-json.js" "%CD%\package.json"
 
 :: Initialize Husky
 echo Initializing Husky...
-call npx husky install
+call %pm_exec% husky install
 
 :: Ask which hook to use
 echo.
@@ -75,10 +100,10 @@ if not exist .husky mkdir .husky
     echo . "$(dirname "$0")/_/husky.sh"
     echo.
     echo # Check .gitignore for sensitive files
-    echo npm run check-gitignore
+    echo %pm% run check-gitignore
     echo.
     echo # Run build for React apps
-    echo npm run build:dev
+    echo %pm% run build:dev
 ) > ".husky\%hook_type%"
 
 :: Make the hook executable (for WSL or Git Bash)
@@ -97,6 +122,6 @@ echo.
 echo These checks will run before each %hook_type:pre-=%
 echo.
 echo To distribute to your team, they just need to run:
-echo   npm install
+echo   %pm% install
 echo.
 pause
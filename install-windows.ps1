@@ -50,9 +50,44 @@ if (-not (Test-Path "package.json")) {
 }
 Write-Host "✓ package.json detected" -ForegroundColor Green
 
+# Detect the package manager: the packageManager option in hooks-config.js,
+# then the packageManager field in package.json, then the lockfile
+function Get-PackageManager {
+    $declared = ""
+    if (Test-Path "hooks-config.js") {
+        $match = Select-String -Path "hooks-config.js" -Pattern "^\s*packageManager:\s*['""](\w+)['""]"
+        if ($match) {
+            $declared = $match.Matches[0].Groups[1].Value
+        }
+    }
+    if (-not $declared) {
+        $packageJson = Get-Content "package.json" -Raw | ConvertFrom-Json
+        if ($packageJson.packageManager) {
+            $declared = ($packageJson.packageManager -split "@")[0]
+        }
+    }
+    if (@("npm", "yarn", "pnpm", "bun") -contains $declared) {
+        return $declared
+    }
+    if (Test-Path "pnpm-lock.yaml") { return "pnpm" }
+    if (Test-Path "yarn.lock") { return "yarn" }
+    if ((Test-Path "bun.lockb") -or (Test-Path "bun.lock")) { return "bun" }
+    return "npm"
+}
+
+# Use the project's package manager for installs and the hook
+$pm = Get-PackageManager
+switch ($pm) {
+    "yarn" { $pmAddDev = "yarn add --dev"; $pmExec = "yarn" }
+    "pnpm" { $pmAddDev = "pnpm add --save-dev"; $pmExec = "pnpm exec" }
+    "bun" { $pmAddDev = "bun add --dev"; $pmExec = "bunx" }
+    default { $pmAddDev = "npm install --save-dev"; $pmExec = "npx" }
+}
+Write-Host "✓ Using $pm" -ForegroundColor Green
+
 # Install Husky
 Write-Host "`nInstalling Husky..." -ForegroundColor Cyan
-npm install husky --save-dev
+Invoke-Expression "$pmAddDev husky"
 
 # Create scripts directory if it doesn't exist
 if (-not (Test-Path "scripts")) {
@@ -73,7 +108,7 @@ node "$scriptDir\scripts\update-package-json.js" "$(Get-Location)\package.json"
 
 # Initialize Husky
 Write-Host "`nInitializing Husky..." -ForegroundColor Cyan
-npx husky install
+Invoke-Expression "$pmExec husky install"
 
 # Ask which hook to use
 Write-Host "`nWhich hook would you like to use?" -ForegroundColor Cyan
@@ -98,10 +133,10 @@ $hookContent = @"
 . "`$(dirname "`$0")/_/husky.sh"
 
 # Check .gitignore for sensitive files
-npm run check-gitignore
+$pm run check-gitignore
 
 # Run build for React apps
-npm run build:dev
+$pm run build:dev
 "@
 
 Set-Content -Path ".husky\$hookType" -Value $hookContent
@@ -118,7 +153,7 @@ Write-Host "1. Check and update .gitignore for sensitive files" -ForegroundColor
 Write-Host "2. Enforce building React apps" -ForegroundColor White
 Write-Host "`nThese checks will run before each $($hookType -replace 'pre-', '')" -ForegroundColor White
 Write-Host "`nTo distribute to your team, they just need to run:" -ForegroundColor White
-Write-Host "  npm install" -ForegroundColor Cyan
+Write-Host "  $pm install" -ForegroundColor Cyan
 Write-Host ""
 
 Write-Host "Press any key to exit..." -ForegroundColor Gray
@@ -27,7 +27,36 @@ const requireOrImport = async (moduleName) => {
   // Import modules dynamically
   const fs = await requireOrImport('fs');
   const path = await requireOrImport('path');
-  const { execSync, spawn } = await requireOrImport('child_process');
+  const { execSync, execFileSync, spawn } = await requireOrImport('child_process');
+  const crypto = await requireOrImport('crypto');
+  const os = await requireOrImport('os');
+  const zlib = await requireOrImport('zlib');
+
+  // Command line flags
+  const args = process.argv.slice(2);
+  const useBuildCache = !args.includes('--no-cache');
+  const updateSizeBaseline = args.includes('--update-size-baseline');
+  const acceptWarnings = args.includes('--accept-warnings');
+
+  // Successful builds are cached under .git so they never show up as changes
+  const gitDir = execSync('git rev-parse --git-dir').toString().trim();
+  const buildCachePath = path.join(gitDir, 'react-hooks', 'build-cache.json');
+  const maxBuildCacheEntries = 200;
+
+  // Full build output is written here; only a summary is repeated at the end
+  const buildLogsDir = path.join(gitDir, 'react-hooks', 'logs');
+  const maxBuildLogs = 50;
+  const maxSummaryErrors = 20;
+
+  if (args.includes('--clear-cache')) {
+    if (fs.existsSync(buildCachePath)) {
+      fs.unlinkSync(buildCachePath);
+      console.log('🧹 Build cache cleared.');
+    } else {
+      console.log('ℹ️ Build cache is already empty.');
+    }
+    return;
+  }
 
   // Load configuration
   let config = {
@@ -35,44 +64,1690 @@ const requireOrImport = async (moduleName) => {
       enforce: true,
       enabled: true
     }
-  };
+  };
+
+  try {
+    // Try to load CommonJS config
+    if (typeof require !== 'undefined') {
+      try {
+        const configPath = path.join(process.cwd(), 'hooks-config.js');
+        if (fs.existsSync(configPath)) {
+          config = require(configPath);
+        }
+      } catch (error) {
+        // Ignore error, use default config
+      }
+    } else {
+      // Try to load ES Module config
+      try {
+        const configPath = path.join(process.cwd(), 'hooks-config.mjs');
+        if (fs.existsSync(configPath)) {
+          const importedConfig = await import(configPath);
+          config = importedConfig.default;
+        }
+      } catch (error) {
+        // Ignore error, use default config
+      }
+    }
+  } catch (error) {
+    // Ignore error, use default config
+  }
+
+  // Check if the hook is disabled
+  if (!config.build || config.build.enabled === false) {
+    console.log('ℹ️ Build verification is disabled in hooks-config.js');
+    return;
+  }
+
+  // How each supported package manager runs scripts and local binaries
+  const packageManagerCommands = {
+    npm: { run: 'npm run', exec: 'npx' },
+    yarn: { run: 'yarn run', exec: 'yarn' },
+    pnpm: { run: 'pnpm run', exec: 'pnpm exec' },
+    bun: { run: 'bun run', exec: 'bunx' }
+  };
+
+  // Detect the package manager: the packageManager option in hooks-config.js,
+  // then the packageManager field in package.json, then the lockfile
+  function detectPackageManager() {
+    if (config.packageManager) {
+      if (packageManagerCommands[config.packageManager]) {
+        return config.packageManager;
+      }
+      console.warn(`⚠️ Unknown packageManager "${config.packageManager}" in hooks-config.js, detecting instead`);
+    }
+    
+    const packageJson = readJsonFile('package.json');
+    const declared = packageJson && typeof packageJson.packageManager === 'string'
+      ? packageJson.packageManager.split('@')[0]
+      : null;
+    
+    if (packageManagerCommands[declared]) {
+      return declared;
+    }
+    if (fs.existsSync('pnpm-lock.yaml')) {
+      return 'pnpm';
+    }
+    if (fs.existsSync('yarn.lock')) {
+      return 'yarn';
+    }
+    if (fs.existsSync('bun.lockb') || fs.existsSync('bun.lock')) {
+      return 'bun';
+    }
+    return 'npm';
+  }
+
+  // Files at the repository root that every workspace depends on
+  const sharedRootFiles = [
+    'package.json',
+    'package-lock.json',
+    'npm-shrinkwrap.json',
+    'yarn.lock',
+    'pnpm-lock.yaml',
+    'bun.lockb',
+    'bun.lock',
+    'lerna.json',
+    'pnpm-workspace.yaml',
+    'nx.json',
+    'turbo.json',
+    'tsconfig.json',
+    'tsconfig.base.json'
+  ];
+
+  // Read a JSON file, returning null when it is missing or invalid
+  function readJsonFile(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Read the `packages` list from pnpm-workspace.yaml. Only the list is
+  // needed, so this handles block and inline sequences without a YAML parser.
+  function readPnpmWorkspacePatterns() {
+    const content = fs.readFileSync('pnpm-workspace.yaml', 'utf8');
+    const unquote = value => value.trim().replace(/^['"]|['"]$/g, '');
+    const inlineMatch = content.match(/^packages:\s*\[([^\]]*)\]/m);
+    
+    if (inlineMatch) {
+      return inlineMatch[1].split(',').map(unquote).filter(Boolean);
+    }
+    
+    const patterns = [];
+    let inPackages = false;
+    
+    for (const line of content.split(/\r?\n/)) {
+      const withoutComment = line.replace(/\s+#.*$/, '');
+      
+      if (/^packages:\s*$/.test(withoutComment)) {
+        inPackages = true;
+      } else if (inPackages && /^\s*-\s*/.test(withoutComment)) {
+        patterns.push(unquote(withoutComment.replace(/^\s*-\s*/, '')));
+      } else if (inPackages && /^\S/.test(withoutComment)) {
+        inPackages = false;
+      }
+    }
+    
+    return patterns.filter(Boolean);
+  }
+
+  // Workspace patterns from pnpm-workspace.yaml or the package.json workspaces field
+  function getWorkspacePatterns() {
+    if (fs.existsSync('pnpm-workspace.yaml')) {
+      return readPnpmWorkspacePatterns();
+    }
+    
+    const packageJson = readJsonFile('package.json');
+    const workspaces = packageJson && packageJson.workspaces;
+    
+    if (Array.isArray(workspaces)) {
+      return workspaces;
+    }
+    return (workspaces && workspaces.packages) || [];
+  }
+
+  // Expand workspace patterns to the directories that contain a package.json,
+  // following npm/Yarn/pnpm glob semantics: `*` matches one directory level,
+  // `**` any number, and `!` patterns exclude directories (and everything in
+  // them) matched by the others. node_modules and hidden directories are never
+  // entered. Results are sorted so every platform gets the same list.
+  function expandWorkspacePatterns(patterns) {
+    const normalize = pattern => pattern.trim().replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+    const includes = patterns.filter(pattern => !pattern.startsWith('!')).map(normalize).filter(Boolean);
+    const excludes = patterns.filter(pattern => pattern.startsWith('!'))
+      .map(pattern => globToRegExp(normalize(pattern.slice(1))));
+    
+    const isExcluded = dir => {
+      const segments = dir.split('/');
+      return segments.some((segment, index) => {
+        const ancestor = segments.slice(0, index + 1).join('/');
+        return excludes.some(regExp => regExp.test(ancestor));
+      });
+    };
+    
+    const locations = new Set();
+    
+    for (const pattern of includes) {
+      const regExp = globToRegExp(pattern);
+      const segments = pattern.split('/');
+      const firstGlob = segments.findIndex(segment => /[*?{]/.test(segment));
+      
+      // Walk only below the literal part of the pattern, and no deeper than it
+      // reaches unless it contains **
+      const base = firstGlob === -1 ? pattern : segments.slice(0, firstGlob).join('/');
+      const maxDepth = pattern.includes('**') ? Infinity : segments.length;
+      
+      const visit = (dir, depth) => {
+        if (regExp.test(dir) && fs.existsSync(path.join(dir, 'package.json'))) {
+          locations.add(dir);
+        }
+        if (depth >= maxDepth) {
+          return;
+        }
+        
+        let entries = [];
+        try {
+          entries = fs.readdirSync(dir || '.', { withFileTypes: true });
+        } catch (error) {
+          return;
+        }
+        
+        for (const entry of entries) {
+          if (entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+            visit(dir ? `${dir}/${entry.name}` : entry.name, depth + 1);
+          }
+        }
+      };
+      
+      if (base === '' || fs.existsSync(base)) {
+        visit(base, base === '' ? 0 : base.split('/').length);
+      }
+    }
+    
+    return [...locations].filter(dir => dir && !isExcluded(dir)).sort();
+  }
+
+  // Find the directories of Nx projects declared with a project.json
+  function findNxProjectDirs(dir = '.', dirs = []) {
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return dirs;
+    }
+    
+    for (const entry of entries) {
+      if (entry.isFile() && entry.name === 'project.json' && dir !== '.') {
+        dirs.push(dir);
+      } else if (entry.isDirectory() && !entry.name.startsWith('.') &&
+                 !['node_modules', 'dist', 'build', 'coverage'].includes(entry.name)) {
+        findNxProjectDirs(path.join(dir, entry.name), dirs);
+      }
+    }
+    
+    return dirs;
+  }
+
+  // List Lerna packages from the globs in lerna.json, or from the workspaces
+  // when lerna.json has useWorkspaces or no packages of its own. Asking the
+  // lerna CLI is opt-in (build.lernaList), as it may need a download.
+  function getLernaPackageLocations() {
+    if (config.build.lernaList === true) {
+      const packages = JSON.parse(execSync(`${pm.exec} lerna list --json --all`).toString());
+      return packages.map(pkg => pkg.location);
+    }
+    
+    const lernaJson = readJsonFile('lerna.json');
+    if (!lernaJson) {
+      console.warn('⚠️ Could not read lerna.json, looking for packages in packages/*');
+    }
+    
+    let patterns = lernaJson && !lernaJson.useWorkspaces && lernaJson.packages;
+    if (!Array.isArray(patterns) || patterns.length === 0) {
+      patterns = getWorkspacePatterns();
+    }
+    
+    return expandWorkspacePatterns(patterns.length > 0 ? patterns : ['packages/*']);
+  }
+
+  // Work out which monorepo tool manages this repository and list its projects.
+  // Returns null for a single app.
+  function detectMonorepo() {
+    if (fs.existsSync('nx.json')) {
+      return {
+        tool: 'Nx',
+        locations: [...findNxProjectDirs(), ...expandWorkspacePatterns(getWorkspacePatterns())]
+      };
+    }
+    
+    if (fs.existsSync('turbo.json')) {
+      return { tool: 'Turborepo', locations: expandWorkspacePatterns(getWorkspacePatterns()) };
+    }
+    
+    if (fs.existsSync('pnpm-workspace.yaml')) {
+      return { tool: 'pnpm workspaces', locations: expandWorkspacePatterns(getWorkspacePatterns()) };
+    }
+    
+    if (fs.existsSync('lerna.json')) {
+      return { tool: 'Lerna', locations: getLernaPackageLocations() };
+    }
+    
+    const packageJson = readJsonFile('package.json');
+    if (packageJson && packageJson.workspaces) {
+      return { tool: 'npm/Yarn workspaces', locations: expandWorkspacePatterns(getWorkspacePatterns()) };
+    }
+    
+    return null;
+  }
+
+  // Quote one argument for the shell that runBuildCommand starts, so file
+  // names with spaces or shell metacharacters stay a single literal argument
+  function quoteShellArg(value) {
+    if (process.platform === 'win32') {
+      return `"${value.replace(/"/g, '""')}"`;
+    }
+    return `'${value.replace(/'/g, "'\\''")}'`;
+  }
+
+  // Hand the affected build over to the monorepo tool's own affected
+  // mechanism, starting from the staged files like every other mode
+  function getDelegatedBuildCommand(monorepo, files) {
+    if (monorepo.tool === 'Nx') {
+      return `${pm.exec} nx affected -t build ${quoteShellArg(`--files=${files.join(',')}`)}`;
+    }
+    if (monorepo.tool === 'Turborepo') {
+      // Turbo's Git filters compare the working tree, so select the packages
+      // that own the staged files (and their dependents) by name instead
+      const packages = readWorkspacePackages(monorepo.locations);
+      const owners = files.map(file => findOwningWorkspace(packages, file));
+      
+      // Files outside every workspace (turbo.json, root config) can affect
+      // any package, so everything is built, as Turbo itself would
+      if (owners.includes(null)) {
+        return `${pm.exec} turbo run build`;
+      }
+      
+      const names = [...new Set(owners.map(workspace => workspace.packageJson.name || workspace.name))];
+      return `${pm.exec} turbo run build ${names.map(name => quoteShellArg(`--filter=...${name}`)).join(' ')}`;
+    }
+    return null;
+  }
+
+  // Normalize a workspace location to a forward-slash path relative to the repo root
+  function toRelativeDir(location) {
+    return path.relative(process.cwd(), path.resolve(location)).split(path.sep).join('/');
+  }
+
+  // Read the package.json (and Nx project.json) of every workspace so the
+  // dependency graph can be built
+  function readWorkspacePackages(locations) {
+    const packages = [];
+    const seen = new Set();
+    
+    for (const location of locations) {
+      const dir = toRelativeDir(location);
+      const packageJsonPath = path.join(location, 'package.json');
+      const projectJsonPath = path.join(location, 'project.json');
+      
+      if (!dir || seen.has(dir) ||
+          (!fs.existsSync(packageJsonPath) && !fs.existsSync(projectJsonPath))) {
+        continue;
+      }
+      
+      const packageJson = fs.existsSync(packageJsonPath) ? readJsonFile(packageJsonPath) : {};
+      const projectJson = fs.existsSync(projectJsonPath) ? readJsonFile(projectJsonPath) : null;
+      
+      if (!packageJson) {
+        console.warn(`⚠️ Could not read ${packageJsonPath}`);
+        continue;
+      }
+      
+      packages.push({
+        dir,
+        location,
+        name: (projectJson && projectJson.name) || packageJson.name || path.basename(location),
+        packageJson,
+        projectJson
+      });
+      seen.add(dir);
+    }
+    
+    return packages;
+  }
+
+  // A standalone project described like a workspace at the repository root
+  function readRootApp() {
+    const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+    
+    return {
+      dir: '.',
+      location: '.',
+      name: packageJson.name || '.',
+      packageJson,
+      projectJson: null
+    };
+  }
+
+  // Convert a path glob to a regular expression. `*` and `?` stay within one
+  // path segment, `**` spans directories and `{a,b}` matches either name.
+  function globToRegExp(glob) {
+    const pattern = glob.replace(/^\.\//, '').replace(/\/$/, '');
+    let source = '';
+    let braces = 0;
+    
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      
+      if (char === '*' && pattern[i + 1] === '*') {
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '{') {
+        source += '(?:';
+        braces++;
+      } else if (char === '}' && braces > 0) {
+        source += ')';
+        braces--;
+      } else if (char === ',' && braces > 0) {
+        source += '|';
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    
+    return new RegExp(`^${source}$`);
+  }
+
+  // Merge the default build settings with every `build.apps` override whose
+  // key is the workspace name or a glob matching its path. Later keys win.
+  function resolveBuildSettings(workspace) {
+    const settings = {
+      script: config.build.script || 'build',
+      command: config.build.command || null,
+      mode: config.build.mode || 'full',
+      cwd: null,
+      outputDir: null,
+      env: { ...config.build.env },
+      skip: false
+    };
+    
+    for (const [key, override] of Object.entries(config.build.apps || {})) {
+      const matches = key === workspace.name ||
+        key === workspace.packageJson.name ||
+        globToRegExp(key).test(workspace.dir);
+      
+      if (matches && override) {
+        Object.assign(settings, override, { env: { ...settings.env, ...override.env } });
+        
+        // A script override replaces a command inherited from the defaults
+        if (override.script && !override.command) {
+          settings.command = null;
+        }
+      }
+    }
+    
+    return settings;
+  }
+
+  // Work out which framework a workspace uses and whether it is written in TypeScript
+  function detectFramework(workspace) {
+    const packageJson = workspace.packageJson;
+    const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    const hasConfig = prefix => ['js', 'mjs', 'cjs', 'ts', 'mts']
+      .some(extension => fs.existsSync(path.join(workspace.location, `${prefix}.${extension}`)));
+    
+    let name = 'React';
+    if (dependencies.next || hasConfig('next.config')) {
+      name = 'Next.js';
+    } else if (dependencies.vite || hasConfig('vite.config')) {
+      name = 'Vite';
+    } else if (dependencies['react-scripts']) {
+      name = 'Create React App';
+    }
+    
+    // Only use tsc when it is installed, so the package manager never downloads it
+    const tsconfigPath = path.join(workspace.location, 'tsconfig.json');
+    const typescript = fs.existsSync(tsconfigPath) &&
+      [workspace.location, '.'].some(dir => fs.existsSync(path.join(dir, 'node_modules', 'typescript')));
+    
+    return { name, typescript, tsconfigPath };
+  }
+
+  // A compile-only check for a workspace: its own type-check script or Nx
+  // target when it has one, otherwise tsc against its tsconfig.json
+  function getTypecheckCommand(workspace, framework) {
+    const scripts = workspace.packageJson.scripts || {};
+    const script = typecheckScripts.find(name => scripts[name]);
+    if (script) {
+      return { command: `${pm.run} ${script}`, description: `${script} script`, own: true };
+    }
+    
+    const targets = (workspace.projectJson && workspace.projectJson.targets) || {};
+    const target = typecheckScripts.find(name => targets[name]);
+    if (target) {
+      return { command: `${pm.exec} nx run ${workspace.name}:${target}`, description: `Nx ${target} target`, nx: true, own: true };
+    }
+    
+    if (!framework.typescript) {
+      return null;
+    }
+    
+    // Solution-style configs (as generated by Vite) only reference other projects
+    const tsconfig = readJsonFile(framework.tsconfigPath);
+    if (tsconfig && Array.isArray(tsconfig.references) && tsconfig.references.length > 0) {
+      return { command: `${pm.exec} tsc --build`, description: 'tsc --build' };
+    }
+    
+    return { command: `${pm.exec} tsc --noEmit`, description: 'tsc --noEmit' };
+  }
+
+  // In auto mode a plain tsc run only replaces the production build when it
+  // sees the same types as the framework's build. Returns why the full build
+  // is needed, or null when the type-check is enough.
+  function getFullBuildReason(workspace, framework, typecheck) {
+    // The app's own type-check script or Nx target is trusted as is
+    if (typecheck.own) {
+      return null;
+    }
+    
+    const hasFile = file => fs.existsSync(path.join(workspace.location, file));
+    
+    switch (framework.name) {
+      case 'Next.js':
+        // next build type-checks too, with the image and route types that next-env.d.ts pulls in
+        return hasFile('next-env.d.ts') ? null : 'next-env.d.ts is missing';
+      case 'Create React App':
+        // react-scripts declares asset and CSS module types in react-app-env.d.ts
+        return hasFile(path.join('src', 'react-app-env.d.ts')) ? null : 'src/react-app-env.d.ts is missing';
+      case 'Vite': {
+        // vite build only strips types, so tsc is the stricter check once it knows Vite's client types
+        const tsconfigs = fs.readdirSync(workspace.location).filter(name => /^tsconfig.*\.json$/.test(name));
+        const clientTypes = hasFile(path.join('src', 'vite-env.d.ts')) ||
+          tsconfigs.some(name => fs.readFileSync(path.join(workspace.location, name), 'utf8').includes('vite/client'));
+        return clientTypes ? null : 'vite/client types are not set up';
+      }
+      default:
+        return 'no supported framework detected';
+    }
+  }
+
+  // The command that builds a workspace: a configured shell command, its
+  // package.json script, or the matching Nx target. In typecheck mode a
+  // compile-only check replaces the production build, and apps without one
+  // are reported as unavailable. In auto mode the check is picked per
+  // framework, falling back to the production build.
+  function getWorkspaceBuildCommand(workspace, settings) {
+    const env = {};
+    for (const [name, value] of Object.entries(settings.env)) {
+      env[name] = String(value);
+    }
+    
+    const build = (command, check) => ({
+      command,
+      check,
+      producesOutput: true,
+      cwd: path.resolve(workspace.location, settings.cwd || '.'),
+      env
+    });
+    
+    if (settings.command) {
+      return build(settings.command, 'custom command');
+    }
+    
+    let mode = settings.mode;
+    if (!buildModes.includes(mode)) {
+      console.warn(`⚠️ Unknown build mode "${mode}" for ${workspace.dir}, using a full build`);
+      mode = 'full';
+    }
+    
+    if (mode !== 'full') {
+      const framework = detectFramework(workspace);
+      const typecheck = getTypecheckCommand(workspace, framework);
+      
+      // typecheck never runs the production build the user opted out of
+      if (mode === 'typecheck' && !typecheck) {
+        return {
+          unavailable: `${framework.name}, no typecheck script, Nx target or installed TypeScript with a tsconfig.json`
+        };
+      }
+      
+      const reason = typecheck
+        ? (mode === 'auto' ? getFullBuildReason(workspace, framework, typecheck) : null)
+        : 'no TypeScript';
+      
+      if (!reason) {
+        const check = {
+          ...build(typecheck.command, `${mode}: ${framework.name}, type-check with ${typecheck.description}`),
+          producesOutput: false
+        };
+        return typecheck.nx ? { ...check, cwd: process.cwd() } : check;
+      }
+      
+      const fullBuild = getWorkspaceBuildCommand(workspace, { ...settings, mode: 'full' });
+      if (fullBuild) {
+        fullBuild.check = `auto: ${framework.name}, full ${settings.script} (${reason})`;
+      }
+      return fullBuild;
+    }
+    
+    if (workspace.packageJson.scripts && workspace.packageJson.scripts[settings.script]) {
+      return build(`${pm.run} ${settings.script}`, `full ${settings.script}`);
+    }
+    
+    const targets = workspace.projectJson && workspace.projectJson.targets;
+    if (targets && targets[settings.script]) {
+      return { ...build(`${pm.exec} nx run ${workspace.name}:${settings.script}`, `full ${settings.script}`), cwd: process.cwd() };
+    }
+    
+    return null;
+  }
+
+  // Find the innermost workspace that contains a staged file
+  function findOwningWorkspace(packages, file) {
+    let owner = null;
+    
+    for (const workspace of packages) {
+      if (file.startsWith(`${workspace.dir}/`) &&
+          (!owner || workspace.dir.length > owner.dir.length)) {
+        owner = workspace;
+      }
+    }
+    
+    return owner;
+  }
+
+  // Link workspaces that reference each other through dependencies,
+  // devDependencies or peerDependencies, in both directions
+  function buildWorkspaceGraph(packages) {
+    const byName = new Map();
+    const dependencies = new Map();
+    const dependents = new Map();
+    
+    for (const workspace of packages) {
+      dependencies.set(workspace.dir, new Set());
+      dependents.set(workspace.dir, new Set());
+      byName.set(workspace.name, workspace);
+      if (workspace.packageJson.name) {
+        byName.set(workspace.packageJson.name, workspace);
+      }
+    }
+    
+    for (const workspace of packages) {
+      const packageJson = workspace.packageJson;
+      const dependencyNames = [
+        ...Object.keys({
+          ...packageJson.dependencies,
+          ...packageJson.devDependencies,
+          ...packageJson.peerDependencies
+        }),
+        ...((workspace.projectJson && workspace.projectJson.implicitDependencies) || [])
+      ];
+      
+      for (const name of dependencyNames) {
+        const dependency = byName.get(name);
+        if (dependency && dependency !== workspace) {
+          dependencies.get(workspace.dir).add(dependency.dir);
+          dependents.get(dependency.dir).add(workspace.dir);
+        }
+      }
+    }
+    
+    return { dependencies, dependents };
+  }
+
+  // Collect a workspace together with everything it depends on transitively
+  function collectDependencyDirs(graph, dir) {
+    const dirs = new Set([dir]);
+    const queue = [dir];
+    
+    while (queue.length > 0) {
+      for (const dependency of graph.dependencies.get(queue.shift())) {
+        if (!dirs.has(dependency)) {
+          dirs.add(dependency);
+          queue.push(dependency);
+        }
+      }
+    }
+    
+    return [...dirs];
+  }
+
+  // Work out which workspaces are affected by the staged files, directly or
+  // transitively. Each affected workspace maps to its reason chain, e.g.
+  // ['apps/admin', 'packages/ui', 'packages/ui/src/button.jsx']
+  function findAffectedWorkspaces(packages, graph, files) {
+    const reasons = new Map();
+    
+    for (const file of files) {
+      if (sharedRootFiles.includes(file)) {
+        for (const workspace of packages) {
+          if (!reasons.has(workspace.dir)) {
+            reasons.set(workspace.dir, [workspace.dir, file]);
+          }
+        }
+        continue;
+      }
+      
+      const owner = findOwningWorkspace(packages, file);
+      if (owner && !reasons.has(owner.dir)) {
+        reasons.set(owner.dir, [owner.dir, file]);
+      }
+    }
+    
+    // Walk the graph breadth-first so every app gets its shortest reason chain
+    const queue = [...reasons.keys()];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      
+      for (const dependent of graph.dependents.get(current)) {
+        if (!reasons.has(dependent)) {
+          reasons.set(dependent, [dependent, ...reasons.get(current)]);
+          queue.push(dependent);
+        }
+      }
+    }
+    
+    return reasons;
+  }
+
+  // Export the staged tree to a temporary directory so the build sees exactly
+  // what is being committed. Existing node_modules folders are linked in
+  // rather than reinstalled, and builds then run inside the snapshot.
+  function prepareStagedSnapshot(locations) {
+    if (!buildStaged || stagedSnapshotDir) {
+      return;
+    }
+    
+    const repoRoot = execSync('git rev-parse --show-toplevel').toString().trim();
+    const prefix = execSync('git rev-parse --show-prefix').toString().trim();
+    
+    stagedSnapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'react-hooks-build-'));
+    process.on('exit', removeStagedSnapshot);
+    
+    execFileSync('git', ['checkout-index', '--all', `--prefix=${stagedSnapshotDir}/`], { cwd: repoRoot });
+    buildRoot = path.join(stagedSnapshotDir, prefix);
+    
+    for (const location of ['.', ...locations]) {
+      const source = path.resolve(location, 'node_modules');
+      const target = path.join(buildRoot, toRelativeDir(location), 'node_modules');
+      
+      if (fs.existsSync(source) && !fs.existsSync(target)) {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.symlinkSync(source, target, 'junction');
+      }
+    }
+    
+    console.log('📸 Building the staged snapshot (unstaged changes are ignored)');
+  }
+
+  // Remove the staged snapshot. Linked node_modules folders are unlinked,
+  // never followed.
+  function removeStagedSnapshot() {
+    if (!stagedSnapshotDir) {
+      return;
+    }
+    
+    try {
+      fs.rmSync(stagedSnapshotDir, { recursive: true, force: true });
+    } catch (error) {
+      console.warn(`⚠️ Could not remove the staged snapshot at ${stagedSnapshotDir}: ${error.message}`);
+    }
+    stagedSnapshotDir = null;
+    buildRoot = process.cwd();
+  }
+
+  // Map a directory in the working tree to where the build runs
+  function toBuildPath(dir) {
+    return path.resolve(buildRoot, path.relative(process.cwd(), path.resolve(dir)));
+  }
+
+  // Kill a build and every process it started. On POSIX the build runs in its
+  // own process group, so signalling the group reaches the whole tree.
+  function killProcessTree(child) {
+    if (process.platform === 'win32') {
+      try {
+        execSync(`taskkill /pid ${child.pid} /T /F`, { stdio: 'ignore' });
+      } catch (error) {
+        // The process already exited
+      }
+      return;
+    }
+    
+    try {
+      process.kill(-child.pid, 'SIGTERM');
+    } catch (error) {
+      return;
+    }
+    
+    setTimeout(() => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        // The process group exited after SIGTERM
+      }
+    }, killGracePeriodMs).unref();
+  }
+
+  // Recognise the error and warning formats of the common build tools in
+  // build output. Feed it one line at a time; some formats name the file or
+  // the severity on an earlier line.
+  function createBuildOutputParser(buildDir) {
+    const problems = { error: new Map(), warning: new Map() };
+    let currentFile = null;
+    let pendingLocation = null;
+    
+    // Create React App lists lint problems without a severity on each line
+    let sectionSeverity = 'error';
+    
+    // Show files relative to the project root, wherever the build ran
+    const normalizeFile = file => {
+      const absolute = path.resolve(buildDir, file.replace(/^\.\//, ''));
+      return path.relative(buildRoot, absolute).split(path.sep).join('/');
+    };
+    
+    const addProblem = (severity, file, line, column, message) => {
+      const entry = {
+        file: file ? normalizeFile(file) : null,
+        line: line ? Number(line) : null,
+        column: column ? Number(column) : null,
+        message: message.trim()
+      };
+      const key = `${entry.file}:${entry.line}:${entry.message}`;
+      
+      if (!problems[severity].has(key)) {
+        problems[severity].set(key, entry);
+      }
+    };
+    const addError = (...details) => addProblem('error', ...details);
+    
+    const feed = rawLine => {
+      const line = rawLine.replace(/\u001b\[[0-9;]*[A-Za-z]/g, '').replace(/\s+$/, '');
+      let match;
+      
+      if (/Compiled with warnings/i.test(line)) {
+        sectionSeverity = 'warning';
+      } else if (/Failed to compile/i.test(line)) {
+        sectionSeverity = 'error';
+      }
+      
+      // tsc: src/App.tsx(12,5): error TS2322: message
+      if ((match = line.match(/^\s*(.+?)\((\d+),(\d+)\): error (TS\d+): (.+)$/))) {
+        addError(match[1], match[2], match[3], `${match[4]}: ${match[5]}`);
+      // tsc --pretty: src/App.tsx:12:5 - error TS2322: message
+      } else if ((match = line.match(/^\s*(.+?):(\d+):(\d+) - error (TS\d+): (.+)$/))) {
+        addError(match[1], match[2], match[3], `${match[4]}: ${match[5]}`);
+      // webpack: ERROR in ./src/App.js 5:0-24 or WARNING in ./src/App.js (the message follows)
+      } else if ((match = line.match(/^(ERROR|WARNING) in (\S+?)(?::(\d+):(\d+)|\s+(\d+):(\d+)(?:-\d+)?)?$/))) {
+        pendingLocation = {
+          severity: match[1] === 'ERROR' ? 'error' : 'warning',
+          file: match[2],
+          line: match[3] || match[5],
+          column: match[4] || match[6]
+        };
+      // webpack/CRA: Module not found: Error: Can't resolve './Foo' in '/app/src'
+      } else if ((match = line.match(/Module not found: (?:Error: )?(Can't resolve '[^']+')(?: in '([^']+)')?/))) {
+        const location = pendingLocation || { file: match[2] || null };
+        addError(location.file, location.line, location.column, `Module not found: ${match[1]}`);
+        pendingLocation = null;
+      // fork-ts-checker after "ERROR in file:line:col": TS2322: message
+      } else if (pendingLocation && pendingLocation.file && (match = line.match(/^\s*(TS\d+): (.+)$/))) {
+        addProblem(pendingLocation.severity, pendingLocation.file, pendingLocation.line, pendingLocation.column,
+          `${match[1]}: ${match[2]}`);
+        pendingLocation = null;
+      // webpack warning message on the line after "WARNING in ..."
+      } else if (pendingLocation && pendingLocation.file && pendingLocation.severity === 'warning' && line.trim()) {
+        addProblem('warning', pendingLocation.file, pendingLocation.line, pendingLocation.column, line);
+        pendingLocation = null;
+      // Vite/Rollup: Rollup failed to resolve import "./Foo" from "/app/src/App.jsx".
+      } else if ((match = line.match(/failed to resolve import "([^"]+)" from "([^"]+)"/))) {
+        addError(match[2], null, null, `Failed to resolve import "${match[1]}"`);
+      // Vite/Rollup warnings: (!) Some chunks are larger than 500 kB after minification.
+      } else if ((match = line.match(/^\(!\) (.+)$/))) {
+        addProblem('warning', null, null, null, match[1]);
+      // esbuild: ✘ [ERROR] Could not resolve "./Foo" or ▲ [WARNING] message (the location follows)
+      } else if ((match = line.match(/\[(ERROR|WARNING)\] (.+)$/))) {
+        pendingLocation = { severity: match[1] === 'ERROR' ? 'error' : 'warning', message: match[2] };
+      } else if (pendingLocation && pendingLocation.message &&
+                 (match = line.match(/^\s+(\S+):(\d+):(\d+):$/))) {
+        addProblem(pendingLocation.severity, match[1], match[2], match[3], pendingLocation.message);
+        pendingLocation = null;
+      // ESLint compact/unix: src/App.js:3:10: message [Error/no-undef]
+      } else if ((match = line.match(/^(.+?):(\d+):(\d+): (.+?) \[(Error|Warning)\/(.+)\]$/))) {
+        addProblem(match[5].toLowerCase(), match[1], match[2], match[3], `${match[4]} (${match[6]})`);
+      // ESLint stylish, CRA and Next.js print the file on its own line...
+      } else if (/^\S+\.(?:jsx?|tsx?|mjs|cjs|vue|svelte)$/.test(line)) {
+        currentFile = line;
+      // ...then "  3:10  error  message  rule", "3:10  Warning: message  rule" or "  Line 3:10:  message  rule"
+      } else if (currentFile && (match = line.match(/^\s*(\d+):(\d+)\s+(error|warning|Error:|Warning:)\s+(.+?)(?:\s{2,}(\S+))?$/))) {
+        const severity = match[3].toLowerCase().startsWith('error') ? 'error' : 'warning';
+        addProblem(severity, currentFile, match[1], match[2], match[5] ? `${match[4]} (${match[5]})` : match[4]);
+      } else if (currentFile && (match = line.match(/^\s+Line (\d+):(\d+):\s+(.+?)(?:\s{2,}(\S+))?$/))) {
+        addProblem(sectionSeverity, currentFile, match[1], match[2], match[4] ? `${match[3]} (${match[4]})` : match[3]);
+      } else if (line === '') {
+        currentFile = null;
+      }
+    };
+    
+    return {
+      feed,
+      errors: () => [...problems.error.values()],
+      warnings: () => [...problems.warning.values()]
+    };
+  }
+
+  // Open a log file for one build and drop the oldest logs beyond the limit
+  function openBuildLog(name, command, cwd) {
+    try {
+      fs.mkdirSync(buildLogsDir, { recursive: true });
+      
+      const oldLogs = fs.readdirSync(buildLogsDir).filter(file => file.endsWith('.log')).sort();
+      oldLogs.slice(0, Math.max(0, oldLogs.length - maxBuildLogs + 1))
+        .forEach(file => fs.unlinkSync(path.join(buildLogsDir, file)));
+      
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const logPath = path.join(buildLogsDir, `${stamp}-${name.replace(/[^\w.-]+/g, '_')}.log`);
+      const stream = fs.createWriteStream(logPath);
+      stream.write(`$ ${command}\n# cwd: ${cwd}\n\n`);
+      
+      return { logPath, stream };
+    } catch (error) {
+      console.warn(`⚠️ Could not create a build log: ${error.message}`);
+      return { logPath: null, stream: null };
+    }
+  }
+
+  // Print the deduplicated errors of a failed build and where its full log is
+  function reportBuildErrors(name, result) {
+    if (result.errors.length > 0) {
+      console.error(`\n🧾 Errors in ${name}:`);
+      
+      for (const error of result.errors.slice(0, maxSummaryErrors)) {
+        const location = error.file
+          ? [error.file, error.line, error.column].filter(part => part !== null).join(':')
+          : '(unknown file)';
+        console.error(`  ${location}  ${error.message}`);
+      }
+      
+      if (result.errors.length > maxSummaryErrors) {
+        console.error(`  …and ${result.errors.length - maxSummaryErrors} more`);
+      }
+    }
+    
+    if (result.logPath) {
+      console.error(`📄 Full output of ${name}: ${path.relative(process.cwd(), result.logPath)}`);
+    }
+  }
+
+  // Run a build command, streaming its output (prefixed with a label when one
+  // is given) to the terminal and a log file while parsing it for errors. The
+  // last lines are kept for the report. The build is killed when it runs past
+  // build.timeoutSeconds.
+  function runBuildCommand(command, { cwd, env, label }) {
+    const prefix = label ? `[${label}] ` : '';
+    const startedAt = Date.now();
+    const tail = [];
+    const buildDir = toBuildPath(cwd);
+    const parser = createBuildOutputParser(buildDir);
+    const log = openBuildLog(label || 'build', command, buildDir);
+    let timedOut = false;
+    
+    const pipeLines = (stream, output) => {
+      let pending = '';
+      const writeLine = line => {
+        output.write(`${prefix}${line}\n`);
+        if (log.stream) {
+          log.stream.write(`${line}\n`);
+        }
+        parser.feed(line);
+        tail.push(line);
+        if (tail.length > outputTailLength) {
+          tail.shift();
+        }
+      };
+      
+      stream.on('data', chunk => {
+        const lines = (pending + chunk.toString()).split(/\r?\n/);
+        pending = lines.pop();
+        lines.forEach(writeLine);
+      });
+      stream.on('end', () => {
+        if (pending) {
+          writeLine(pending);
+        }
+      });
+    };
+    
+    return new Promise(resolve => {
+      const child = spawn(command, {
+        cwd: buildDir,
+        env: { ...process.env, ...env },
+        shell: true,
+        detached: process.platform !== 'win32',
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+      runningBuilds.add(child);
+      
+      let settled = false;
+      const finish = code => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        runningBuilds.delete(child);
+        
+        // Make sure nothing from a timed out build outlives the hook
+        if (timedOut && process.platform !== 'win32') {
+          try {
+            process.kill(-child.pid, 'SIGKILL');
+          } catch (error) {
+            // The process group already exited
+          }
+        }
+        if (log.stream) {
+          log.stream.end();
+        }
+        resolve({
+          success: code === 0 && !timedOut,
+          timedOut,
+          durationMs: Date.now() - startedAt,
+          tail: [...tail],
+          errors: parser.errors(),
+          warnings: parser.warnings(),
+          logPath: log.logPath
+        });
+      };
+      
+      const timer = buildTimeoutMs > 0 ? setTimeout(() => {
+        timedOut = true;
+        killProcessTree(child);
+        
+        // Give up waiting if something in the tree keeps the output pipes open
+        setTimeout(() => finish(null), killGracePeriodMs + 1000).unref();
+      }, buildTimeoutMs) : null;
+      
+      pipeLines(child.stdout, process.stdout);
+      pipeLines(child.stderr, process.stderr);
+      
+      child.on('error', error => {
+        process.stderr.write(`${prefix}${error.message}\n`);
+      });
+      child.on('close', finish);
+    });
+  }
+
+  // Report a build that ran past the timeout together with its last output
+  function reportTimeout(name, result) {
+    console.error(`\n⏱️ ${name} timed out after ${buildTimeoutMs / 1000}s and was stopped. Last output:`);
+    result.tail.forEach(line => console.error(`  | ${line}`));
+  }
+
+  // Build apps with at most `concurrency` builds running at once. An app waits
+  // for the workspaces it depends on that are also being built, and is skipped
+  // if one of them fails. Every app is attempted so all failures are collected.
+  async function runBuildQueue(apps, graph, concurrency) {
+    const results = new Map();
+    const running = new Map();
+    const buildDirs = new Set(apps.map(app => app.dir));
+    let waiting = [...apps];
+    
+    const dependenciesOf = app => collectDependencyDirs(graph, app.dir)
+      .filter(dir => dir !== app.dir && buildDirs.has(dir));
+    
+    const startBuild = app => {
+      console.log(`🔨 Building ${app.name} (${app.check})...`);
+      
+      const build = runBuildCommand(app.command, { cwd: app.cwd, env: app.env, label: app.name })
+        .then(result => {
+          const status = result.timedOut ? 'timeout' : (result.success ? 'passed' : 'failed');
+          results.set(app.dir, { ...result, status });
+          running.delete(app.dir);
+          
+          if (result.success) {
+            console.log(`✅ Successfully built ${app.name}`);
+            
+            // Measure the output now, while a staged snapshot still exists
+            const budget = budgetsEnabled && app.producesOutput ? checkBundleBudgets(app) : null;
+            const ratchet = warningRatchet.enabled ? checkWarningRatchet(app, result.warnings) : null;
+            Object.assign(results.get(app.dir), { budget, ratchet });
+            
+            const overLimits = (budget && budget.violations.length > 0) || (ratchet && ratchet.increased);
+            if (!overLimits || !shouldEnforce) {
+              recordBuildSuccess(app.inputHash, app.dir);
+            }
+          } else if (result.timedOut) {
+            reportTimeout(app.name, result);
+          } else {
+            console.error(`❌ Failed to build ${app.name}`);
+          }
+        });
+      
+      running.set(app.dir, build);
+    };
+    
+    while (waiting.length > 0 || running.size > 0) {
+      // Skip apps whose dependencies did not build, repeating so skips cascade
+      let skipped = true;
+      while (skipped) {
+        skipped = false;
+        waiting = waiting.filter(app => {
+          const blocked = dependenciesOf(app).some(dir =>
+            results.has(dir) && results.get(dir).status !== 'passed'
+          );
+          
+          if (blocked) {
+            results.set(app.dir, { status: 'skipped', durationMs: 0 });
+            console.warn(`⏭️ Skipping ${app.name}: a workspace it depends on did not build`);
+            skipped = true;
+          }
+          return !blocked;
+        });
+      }
+      
+      // Start every app whose dependencies have finished, up to the limit
+      for (const app of [...waiting]) {
+        if (running.size >= concurrency) {
+          break;
+        }
+        if (dependenciesOf(app).every(dir => results.has(dir))) {
+          waiting = waiting.filter(other => other !== app);
+          startBuild(app);
+        }
+      }
+      
+      // A dependency cycle leaves nothing startable, so start the next app anyway
+      if (running.size === 0 && waiting.length > 0) {
+        startBuild(waiting.shift());
+      }
+      
+      if (running.size > 0) {
+        await Promise.race(running.values());
+      }
+    }
+    
+    return apps.map(app => ({ ...app, ...results.get(app.dir) }));
+  }
+
+  // Print a pass/fail table with the duration of each app build
+  function printBuildSummary(results) {
+    const labels = {
+      passed: '✅ passed',
+      failed: '❌ failed',
+      timeout: '⏱️ timed out',
+      skipped: '⏭️ skipped'
+    };
+    const width = Math.max(3, ...results.map(result => result.dir.length));
+    
+    console.log('\n📊 Build summary:');
+    console.log(`  ${'App'.padEnd(width)}  ${'Result'.padEnd(13)}  Duration`);
+    
+    for (const result of results) {
+      const duration = result.status === 'skipped' ? '-' : `${(result.durationMs / 1000).toFixed(1)}s`;
+      console.log(`  ${result.dir.padEnd(width)}  ${labels[result.status].padEnd(13)}  ${duration}`);
+    }
+  }
+
+  // Hash the staged blobs under the given paths together with the build
+  // command, directory and environment, so an unchanged staged tree and
+  // build configuration produce the same hash. Unless the staged snapshot is
+  // built, the build sees the working tree, so unstaged and untracked files
+  // under the paths are part of the hash too: a build that only passed
+  // thanks to an unstaged fix must not be skipped once that fix is undone.
+  function computeBuildInputHash(paths, build) {
+    const stagedEntries = execFileSync('git', ['ls-files', '--stage', '--', ...paths]).toString();
+    const buildSignature = JSON.stringify([build.command, toRelativeDir(build.cwd), build.env]);
+    const hash = crypto.createHash('sha256').update(`${buildSignature}\n${stagedEntries}`);
+    
+    if (!buildStaged) {
+      const listFiles = gitArgs => execFileSync('git', [...gitArgs, '-z', '--', ...paths], { maxBuffer: 64 * 1024 * 1024 })
+        .toString().split('\0').filter(Boolean);
+      const workingFiles = [...new Set([
+        ...listFiles(['diff', '--name-only']),
+        ...listFiles(['ls-files', '--others', '--exclude-standard'])
+      ])].sort();
+      
+      // Deleted files have nothing to hash, but their absence still counts
+      const existing = workingFiles.filter(file => fs.existsSync(file));
+      const contentHashes = existing.length > 0
+        ? execFileSync('git', ['hash-object', '--stdin-paths'], { input: existing.join('\n'), maxBuffer: 64 * 1024 * 1024 })
+          .toString().trim().split('\n')
+        : [];
+      
+      workingFiles.forEach(file => {
+        const index = existing.indexOf(file);
+        hash.update(`\n${file} ${index === -1 ? 'deleted' : contentHashes[index]}`);
+      });
+    }
+    
+    return hash.digest('hex');
+  }
+
+  function readBuildCache() {
+    try {
+      return JSON.parse(fs.readFileSync(buildCachePath, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
 
-  try {
-    // Try to load CommonJS config
-    if (typeof require !== 'undefined') {
-      try {
-        const configPath = path.join(process.cwd(), 'hooks-config.js');
-        if (fs.existsSync(configPath)) {
-          config = require(configPath);
+  function isBuildCached(hash) {
+    return useBuildCache && Boolean(readBuildCache()[hash]);
+  }
+
+  // Remember a successful build, keeping only the most recent entries
+  function recordBuildSuccess(hash, app) {
+    if (!useBuildCache) {
+      return;
+    }
+    
+    try {
+      const cache = readBuildCache();
+      cache[hash] = { app, passedAt: new Date().toISOString() };
+      
+      const entries = Object.entries(cache)
+        .sort((a, b) => b[1].passedAt.localeCompare(a[1].passedAt))
+        .slice(0, maxBuildCacheEntries);
+      
+      fs.mkdirSync(path.dirname(buildCachePath), { recursive: true });
+      fs.writeFileSync(buildCachePath, JSON.stringify(Object.fromEntries(entries), null, 2));
+    } catch (error) {
+      console.warn(`⚠️ Could not update the build cache: ${error.message}`);
+    }
+  }
+
+  // Where an app's build output is: the configured outputDir, or the first of
+  // the usual bundler output folders that exists
+  function findOutputDir(location, settings) {
+    if (settings.outputDir === false) {
+      return null;
+    }
+    
+    const candidates = settings.outputDir ? [settings.outputDir] : outputDirCandidates;
+    const found = candidates
+      .map(candidate => path.join(toBuildPath(location), candidate))
+      .find(dir => fs.existsSync(dir) && fs.statSync(dir).isDirectory());
+    
+    return found || null;
+  }
+
+  // Content hashes change on every build, so baseline entries use a stable name
+  function stripContentHash(file) {
+    return file.replace(/([.-])[A-Za-z0-9_]{8,}(?=(\.chunk)?\.\w+$)/, '$1[hash]');
+  }
+
+  // Measure the raw and gzip size of every file in a build output directory
+  function measureOutputDir(outputDir) {
+    const files = [];
+    
+    const walk = dir => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        
+        if (entry.isDirectory() && entry.name !== 'cache') {
+          walk(fullPath);
+        } else if (entry.isFile() && !entry.name.endsWith('.map')) {
+          const content = fs.readFileSync(fullPath);
+          files.push({
+            file: path.relative(outputDir, fullPath).split(path.sep).join('/'),
+            size: content.length,
+            gzip: zlib.gzipSync(content).length
+          });
         }
-      } catch (error) {
-        // Ignore error, use default config
       }
-    } else {
-      // Try to load ES Module config
-      try {
-        const configPath = path.join(process.cwd(), 'hooks-config.mjs');
-        if (fs.existsSync(configPath)) {
-          const importedConfig = await import(configPath);
-          config = importedConfig.default;
+    };
+    
+    walk(outputDir);
+    return files.sort((a, b) => b.gzip - a.gzip);
+  }
+
+  // Sizes keyed by hash-free file name plus a total, as stored in the baseline
+  function summarizeSizes(files) {
+    const sizes = { '(total)': { size: 0, gzip: 0 } };
+    
+    for (const { file, size, gzip } of files) {
+      const key = stripContentHash(file);
+      sizes[key] = sizes[key] || { size: 0, gzip: 0 };
+      sizes[key].size += size;
+      sizes[key].gzip += gzip;
+      sizes['(total)'].size += size;
+      sizes['(total)'].gzip += gzip;
+    }
+    
+    return sizes;
+  }
+
+  // Accept sizes as a number of bytes or a string such as '250 kB' or '1.5MB'
+  function parseSize(value) {
+    if (typeof value === 'number') {
+      return value;
+    }
+    
+    const match = String(value).trim().match(/^([\d.]+)\s*(b|kb|k|mb|m)?$/i);
+    if (!match) {
+      console.warn(`⚠️ Ignoring invalid size "${value}" in build.budgets`);
+      return Infinity;
+    }
+    
+    const units = { b: 1, k: 1024, kb: 1024, m: 1024 * 1024, mb: 1024 * 1024 };
+    return Number(match[1]) * units[(match[2] || 'b').toLowerCase()];
+  }
+
+  function formatSize(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} kB`;
+  }
+
+  function readSizeBaseline() {
+    return (budgets.baseline && readJsonFile(budgets.baseline)) || {};
+  }
+
+  // Measure an app's output and compare it with the absolute limits and the
+  // allowed growth over the committed baseline. Returns null without output.
+  function checkBundleBudgets(app) {
+    const outputDir = findOutputDir(app.location, app.settings);
+    if (!outputDir) {
+      return null;
+    }
+    
+    const files = measureOutputDir(outputDir);
+    const sizes = summarizeSizes(files);
+    const baseline = readSizeBaseline()[app.dir] || {};
+    const violations = [];
+    
+    for (const [glob, limit] of Object.entries(budgets.limits || {})) {
+      const regExp = globToRegExp(glob);
+      
+      for (const { file, size, gzip } of files.filter(entry => regExp.test(entry.file))) {
+        if (limit.size !== undefined && size > parseSize(limit.size)) {
+          violations.push(`${file} is ${formatSize(size)}, over the ${glob} limit of ${formatSize(parseSize(limit.size))}`);
+        }
+        if (limit.gzip !== undefined && gzip > parseSize(limit.gzip)) {
+          violations.push(`${file} is ${formatSize(gzip)} gzipped, over the ${glob} limit of ${formatSize(parseSize(limit.gzip))}`);
         }
-      } catch (error) {
-        // Ignore error, use default config
       }
     }
-  } catch (error) {
-    // Ignore error, use default config
+    
+    const maxGrowth = Number(budgets.maxGrowthPercent);
+    if (budgets.maxGrowthPercent !== null && budgets.maxGrowthPercent !== undefined && !Number.isNaN(maxGrowth)) {
+      for (const [key, current] of Object.entries(sizes)) {
+        const previous = baseline[key];
+        const growth = previous && previous.gzip > 0 ? (current.gzip - previous.gzip) / previous.gzip * 100 : 0;
+        
+        if (growth > maxGrowth) {
+          violations.push(`${key} grew ${growth.toFixed(1)}% gzipped (${formatSize(previous.gzip)} → ${formatSize(current.gzip)}), more than the allowed ${maxGrowth}%`);
+        }
+      }
+    }
+    
+    return {
+      outputDir: path.relative(buildRoot, outputDir).split(path.sep).join('/'),
+      files,
+      sizes,
+      baseline,
+      violations
+    };
   }
 
-  // Check if the hook is disabled
-  if (!config.build || config.build.enabled === false) {
-    console.log('ℹ️ Build verification is disabled in hooks-config.js');
-    return;
+  // Print the largest output files of an app and any budget it exceeds
+  function reportBundleSizes(name, budget) {
+    console.log(`\n📏 Bundle sizes for ${name} (${budget.outputDir}):`);
+    
+    for (const { file, size, gzip } of budget.files.slice(0, maxReportedFiles)) {
+      const previous = budget.baseline[stripContentHash(file)];
+      const change = previous ? ` (${gzip >= previous.gzip ? '+' : ''}${formatSize(gzip - previous.gzip)})` : '';
+      console.log(`  ${file.padEnd(50)} ${formatSize(size).padStart(10)} ${formatSize(gzip).padStart(10)} gzip${change}`);
+    }
+    
+    if (budget.files.length > maxReportedFiles) {
+      console.log(`  …and ${budget.files.length - maxReportedFiles} smaller files`);
+    }
+    
+    const total = budget.sizes['(total)'];
+    console.log(`  Total: ${formatSize(total.size)}, ${formatSize(total.gzip)} gzipped`);
+    budget.violations.forEach(violation => console.warn(`  ⚠️ ${violation}`));
+  }
+
+  // Block or warn about apps whose output is over budget
+  function reportBudgetViolations(names) {
+    if (shouldEnforce) {
+      console.error(`\n❌ ERROR: ${names.length} app(s) exceeded their bundle size budgets: ${names.join(', ')}`);
+      console.error('Please reduce the bundle size, or raise the budget in hooks-config.js and run');
+      console.error('node scripts/build-react-apps.js --update-size-baseline if the growth is intended.');
+      console.error('You can bypass this check with git commit --no-verify, but this is not recommended.');
+      console.error('Alternatively, set enforce: false for build in hooks-config.js to make this a warning only.');
+      process.exit(1);
+    } else {
+      console.warn(`\n⚠️ WARNING: ${names.length} app(s) exceeded their bundle size budgets: ${names.join(', ')}`);
+      console.warn('Consider reducing the bundle size before committing.');
+      console.warn('This is just a warning and will not prevent your commit.');
+      console.warn('To enforce build verification, set enforce: true for build in hooks-config.js.');
+    }
+  }
+
+  // Record the current output sizes of every app as the new baseline
+  function writeSizeBaseline(apps) {
+    const baseline = readSizeBaseline();
+    let measured = 0;
+    
+    for (const app of apps) {
+      const outputDir = findOutputDir(app.location, app.settings);
+      
+      if (outputDir) {
+        baseline[app.dir] = summarizeSizes(measureOutputDir(outputDir));
+        console.log(`📏 ${app.dir}: ${formatSize(baseline[app.dir]['(total)'].gzip)} gzipped`);
+        measured++;
+      } else {
+        console.log(`ℹ️ ${app.dir}: no build output found, build it first to include it`);
+      }
+    }
+    
+    fs.writeFileSync(budgets.baseline, `${JSON.stringify(baseline, null, 2)}\n`);
+    console.log(`✅ Updated ${budgets.baseline} for ${measured} app(s). Commit it to share the baseline.`);
+  }
+
+  // Warnings are compared by file and message, so moved code keeps its identity
+  function warningKey(warning) {
+    return warning.file ? `${warning.file}: ${warning.message}` : warning.message;
+  }
+
+  function readWarningBaseline() {
+    return readJsonFile(warningRatchet.baseline) || {};
+  }
+
+  function writeWarningBaseline(baseline) {
+    try {
+      fs.writeFileSync(warningRatchet.baseline, `${JSON.stringify(baseline, null, 2)}\n`);
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Could not update ${warningRatchet.baseline}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Stage a lower count for one app, so it lands in the commit being made.
+  // Only the app's entry in the committed baseline changes: entries recorded
+  // for the first time stay unstaged in the working tree. Returns false when
+  // the baseline is not tracked yet.
+  function stageWarningBaselineEntry(dir, entry) {
+    try {
+      const staged = JSON.parse(execFileSync('git', ['show', `:${warningRatchet.baseline}`], { stdio: ['ignore', 'pipe', 'ignore'] }).toString());
+      staged[dir] = entry;
+      const blob = execFileSync('git', ['hash-object', '-w', '--stdin'], { input: `${JSON.stringify(staged, null, 2)}\n` })
+        .toString().trim();
+      execFileSync('git', ['update-index', '--cacheinfo', `100644,${blob},${warningRatchet.baseline}`], { stdio: 'ignore' });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Compare the warnings of a finished build with the app's baseline. The
+  // baseline follows the count down automatically, and a lower count is
+  // staged, but only moves up with --accept-warnings. A first baseline, or one
+  // recorded for another kind of check (see build.mode), is written without
+  // staging it.
+  function checkWarningRatchet(app, warnings) {
+    const baseline = readWarningBaseline();
+    const previous = baseline[app.dir];
+    const keys = warnings.map(warningKey).sort();
+    const ratchet = { count: keys.length, previousCount: previous ? previous.count : null, newWarnings: [] };
+    
+    if (previous && previous.check === app.check && keys.length > previous.count && !acceptWarnings) {
+      // List the warnings beyond the ones the baseline already knows about
+      const known = new Map();
+      previous.warnings.forEach(key => known.set(key, (known.get(key) || 0) + 1));
+      
+      ratchet.newWarnings = warnings.filter(warning => {
+        const key = warningKey(warning);
+        const remaining = known.get(key) || 0;
+        known.set(key, remaining - 1);
+        return remaining <= 0;
+      });
+      ratchet.increased = true;
+      return ratchet;
+    }
+    
+    if (!previous || previous.check !== app.check || keys.length !== previous.count) {
+      baseline[app.dir] = { check: app.check, count: keys.length, warnings: keys };
+      ratchet.updated = writeWarningBaseline(baseline);
+      ratchet.decreased = Boolean(previous) && previous.check === app.check && keys.length < previous.count;
+      ratchet.staged = ratchet.updated && ratchet.decreased && stageWarningBaselineEntry(app.dir, baseline[app.dir]);
+    }
+    
+    return ratchet;
+  }
+
+  function reportWarningRatchet(name, ratchet) {
+    if (ratchet.increased) {
+      console.warn(`\n📈 Warnings in ${name} rose from ${ratchet.previousCount} to ${ratchet.count}. New warnings:`);
+      
+      for (const warning of ratchet.newWarnings.slice(0, maxSummaryErrors)) {
+        const location = warning.file
+          ? [warning.file, warning.line, warning.column].filter(part => part !== null).join(':')
+          : '(unknown file)';
+        console.warn(`  ${location}  ${warning.message}`);
+      }
+      
+      if (ratchet.newWarnings.length > maxSummaryErrors) {
+        console.warn(`  …and ${ratchet.newWarnings.length - maxSummaryErrors} more`);
+      }
+    } else if (ratchet.staged) {
+      console.log(`📉 Warnings in ${name} dropped from ${ratchet.previousCount} to ${ratchet.count}, ${warningRatchet.baseline} updated and staged`);
+    } else if (ratchet.updated && ratchet.decreased) {
+      console.log(`📉 Warnings in ${name} dropped from ${ratchet.previousCount} to ${ratchet.count}, ${warningRatchet.baseline} updated but not staged. Commit it to share the baseline.`);
+    } else if (ratchet.updated) {
+      console.log(`📝 Recorded ${ratchet.count} warning(s) for ${name} in ${warningRatchet.baseline} (not staged). Commit it to share the baseline.`);
+    }
+  }
+
+  // Block or warn about apps that introduced new build warnings
+  function reportWarningIncrease(names) {
+    if (shouldEnforce) {
+      console.error(`\n❌ ERROR: The number of build warnings rose in ${names.length} app(s): ${names.join(', ')}`);
+      console.error('Please fix the new warnings before committing, or run');
+      console.error('node scripts/build-react-apps.js --accept-warnings to raise the baseline if they are intended.');
+      console.error('You can bypass this check with git commit --no-verify, but this is not recommended.');
+      console.error('Alternatively, set enforce: false for build in hooks-config.js to make this a warning only.');
+      process.exit(1);
+    } else {
+      console.warn(`\n⚠️ WARNING: The number of build warnings rose in ${names.length} app(s): ${names.join(', ')}`);
+      console.warn('Consider fixing the new warnings before committing.');
+      console.warn('This is just a warning and will not prevent your commit.');
+      console.warn('To enforce build verification, set enforce: true for build in hooks-config.js.');
+    }
+  }
+
+  // The status of every changed or untracked file where the build runs, with
+  // the content hash of files that differ from the index. Only with
+  // cleanTree: 'restore' in the working tree are those contents also stored
+  // in Git, so they can be put back after the build.
+  function captureTreeState(storeContents = false) {
+    const output = execFileSync('git', ['--work-tree', buildRoot, 'status', '--porcelain', '-z', '--untracked-files=all'],
+      { maxBuffer: 64 * 1024 * 1024 }).toString();
+    const fields = output.split('\0');
+    const entries = new Map();
+    
+    for (let i = 0; i < fields.length; i++) {
+      if (fields[i].length < 4) {
+        continue;
+      }
+      entries.set(fields[i].slice(3), fields[i].slice(0, 2));
+      
+      // Renames and copies are followed by their original path
+      if (/[RC]/.test(fields[i][0])) {
+        i++;
+      }
+    }
+    
+    const changedFiles = [...entries.keys()]
+      .filter(file => fs.existsSync(path.join(buildRoot, file)) && fs.statSync(path.join(buildRoot, file)).isFile());
+    const hashes = new Map();
+    
+    if (changedFiles.length > 0) {
+      const hashArgs = storeContents ? ['hash-object', '-w', '--stdin-paths'] : ['hash-object', '--stdin-paths'];
+      const output = execFileSync('git', hashArgs, {
+        input: changedFiles.map(file => path.join(buildRoot, file)).join('\n'),
+        maxBuffer: 64 * 1024 * 1024
+      }).toString().trim().split('\n');
+      changedFiles.forEach((file, index) => hashes.set(file, output[index]));
+    }
+    
+    return { entries, hashes };
+  }
+
+  // Whether the tree state before a build must keep file contents to restore
+  function storeTreeContents() {
+    return cleanTreeMode === 'restore' && !stagedSnapshotDir;
+  }
+
+  // Files whose status or content changed between two tree states, leaving
+  // out the baselines this hook maintains itself
+  function findBuildChanges(before, after) {
+    const hookFiles = [warningRatchet.baseline, budgets.baseline];
+    const files = new Set([...before.entries.keys(), ...after.entries.keys()]);
+    
+    return [...files]
+      .filter(file => !hookFiles.includes(file))
+      .filter(file => before.entries.get(file) !== after.entries.get(file) ||
+                      before.hashes.get(file) !== after.hashes.get(file))
+      .map(file => {
+        const exists = fs.existsSync(path.join(buildRoot, file));
+        return {
+          file,
+          // New untracked files, as opposed to tracked files that were clean
+          // before the build and so missing from the status output
+          created: after.entries.get(file) === '??' && !before.entries.has(file),
+          // Tracked files that were deleted before the build and written again
+          recreated: exists && before.entries.has(file) && !before.hashes.has(file),
+          deleted: !exists
+        };
+      })
+      .sort((a, b) => a.file.localeCompare(b.file));
+  }
+
+  // Put files changed by the build back the way they were before it ran
+  function restoreBuildChanges(before, changes) {
+    for (const change of changes) {
+      const fullPath = path.join(buildRoot, change.file);
+      
+      if (change.created || change.recreated) {
+        fs.rmSync(fullPath, { force: true });
+      } else if (before.hashes.has(change.file)) {
+        fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+        fs.writeFileSync(fullPath, execFileSync('git', ['cat-file', 'blob', before.hashes.get(change.file)],
+          { maxBuffer: 64 * 1024 * 1024 }));
+      } else {
+        execFileSync('git', ['checkout', '--', change.file], { stdio: 'ignore' });
+      }
+    }
+  }
+
+  // Drop cached results again, so builds that left changes behind are rerun
+  function forgetBuildSuccess(hashes) {
+    const cache = readBuildCache();
+    
+    if (hashes.some(hash => cache[hash])) {
+      hashes.forEach(hash => delete cache[hash]);
+      fs.writeFileSync(buildCachePath, JSON.stringify(cache, null, 2));
+    }
+  }
+
+  // Report files the build wrote outside its ignored output, then warn,
+  // fail or restore them as build.cleanTree says
+  function verifyCleanTree(before, inputHashes) {
+    if (!before) {
+      return;
+    }
+    
+    const changes = findBuildChanges(before, captureTreeState());
+    if (changes.length === 0) {
+      return;
+    }
+    
+    const where = stagedSnapshotDir ? 'in the staged snapshot' : 'in the working tree';
+    console.warn(`\n🧽 The build changed ${changes.length} file(s) ${where} that Git does not ignore:`);
+    changes.slice(0, maxSummaryErrors).forEach(change => {
+      const label = change.created || change.recreated ? 'created' : (change.deleted ? 'deleted' : 'modified');
+      console.warn(`  ${label.padEnd(9)} ${change.file}`);
+    });
+    if (changes.length > maxSummaryErrors) {
+      console.warn(`  …and ${changes.length - maxSummaryErrors} more`);
+    }
+    
+    if (cleanTreeMode === 'restore') {
+      if (stagedSnapshotDir) {
+        console.log('ℹ️ These changes are discarded with the staged snapshot.');
+      } else {
+        restoreBuildChanges(before, changes);
+        console.log('♻️ Restored these files to how they were before the build.');
+      }
+    } else if (cleanTreeMode === 'fail') {
+      console.error('\n❌ ERROR: The build left changes behind!');
+      console.error('Add generated files to .gitignore, or commit them if they belong in the repository.');
+      console.error('You can bypass this check with git commit --no-verify, but this is not recommended.');
+      console.error("Alternatively, set cleanTree: 'warn' or 'restore' for build in hooks-config.js.");
+      forgetBuildSuccess(inputHashes);
+      dirtyTreeBlocked = true;
+      process.exitCode = 1;
+    } else {
+      console.warn('Add generated files to .gitignore, or commit them if they belong in the repository.');
+      console.warn("Set cleanTree: 'restore' for build in hooks-config.js to undo such changes automatically.");
+    }
   }
 
   // Determine if we should enforce or just warn
   const shouldEnforce = config.build && config.build.enforce === true;
 
+  // Number of monorepo apps to build at the same time
+  const buildConcurrency = Math.max(1, parseInt(config.build.concurrency, 10) || 1);
+
+  // Build the staged snapshot instead of the working tree
+  const buildStaged = args.includes('--staged') || config.build.staged === true;
+  let stagedSnapshotDir = null;
+  let buildRoot = process.cwd();
+
+  // Builds running longer than this are killed (0 means no limit)
+  const buildTimeoutMs = Math.max(0, Number(config.build.timeoutSeconds) || 0) * 1000;
+  const killGracePeriodMs = 5000;
+  const outputTailLength = 20;
+
+  // build.mode: full runs the build script, typecheck only compiles, and auto
+  // type-checks TypeScript apps and builds the rest
+  const buildModes = ['full', 'typecheck', 'auto'];
+  const typecheckScripts = ['typecheck', 'type-check', 'tsc'];
+
+  // Bundle size budgets, checked after full builds
+  const budgets = { baseline: 'bundle-size-baseline.json', ...config.build.budgets };
+  const budgetsEnabled = budgets.enabled === true;
+  const outputDirCandidates = ['build', 'dist', '.next/static', 'out'];
+  const maxReportedFiles = 10;
+
+  // Warning ratchet: the number of build warnings per app may only go down
+  const warningRatchet = { enabled: false, baseline: 'build-warnings-baseline.json', ...config.build.warnings };
+
+  // What to do about files the build changes outside ignored paths:
+  // 'warn', 'fail', 'restore' or false to skip the check
+  const cleanTreeMode = config.build.cleanTree === undefined ? 'warn' : config.build.cleanTree;
+  let dirtyTreeBlocked = false;
+
+  // Stop running builds when the hook itself is interrupted, since they live
+  // in their own process groups and would not receive the signal
+  const runningBuilds = new Set();
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+      runningBuilds.forEach(killProcessTree);
+      process.exit(130);
+    });
+  });
+
   // Get staged files
   const stagedFiles = execSync('git diff --cached --name-only')
     .toString()
@@ -86,123 +1761,191 @@ const requireOrImport = async (moduleName) => {
     !file.includes('node_modules/')
   );
 
-  if (!hasJsChanges) {
+  if (!hasJsChanges && !updateSizeBaseline) {
     console.log('ℹ️ No JavaScript/TypeScript changes detected. Skipping build check.');
     return;
   }
 
   console.log('🔍 Checking for React apps to build...');
 
+  // Run every command through the project's package manager
+  const packageManager = detectPackageManager();
+  const pm = packageManagerCommands[packageManager];
+
+  if (packageManager !== 'npm') {
+    console.log(`📦 Using ${packageManager}`);
+  }
+
   // Check if this is a monorepo with multiple apps
-  const isMonorepo = fs.existsSync('lerna.json') || 
-                    (fs.existsSync('package.json') && 
-                     JSON.parse(fs.readFileSync('package.json', 'utf8')).workspaces);
+  const monorepo = detectMonorepo();
+
+  if (updateSizeBaseline) {
+    const apps = monorepo
+      ? readWorkspacePackages(monorepo.locations)
+      : (fs.existsSync('package.json') ? [readRootApp()] : []);
+    
+    writeSizeBaseline(apps.map(app => ({ ...app, settings: resolveBuildSettings(app) })));
+    return;
+  }
 
-  let buildCommand = 'npm run build';
   let buildSuccessful = false;
 
   try {
-    if (isMonorepo) {
-      console.log('📦 Detected monorepo structure');
+    const delegatedCommand = monorepo && config.build.delegate === true
+      ? getDelegatedBuildCommand(monorepo, stagedFiles)
+      : null;
+    
+    if (delegatedCommand) {
+      // Let the monorepo tool decide which projects are affected
+      console.log(`📦 Detected ${monorepo.tool} monorepo, delegating affected builds`);
       
-      // For monorepos, find affected apps and build them
-      let appsToCheck = [];
+      if (buildStaged) {
+        console.warn(`⚠️ ${monorepo.tool} needs the Git repository to find affected projects, so the working tree is built instead of the staged snapshot`);
+      }
+      console.log(`🏗️ Running ${delegatedCommand}`);
       
-      if (fs.existsSync('lerna.json')) {
-        // Lerna monorepo
-        const packages = JSON.parse(execSync('npx lerna list --json').toString());
-        appsToCheck = packages.map(pkg => pkg.location);
+      const treeBefore = cleanTreeMode ? captureTreeState(storeTreeContents()) : null;
+      const result = await runBuildCommand(delegatedCommand, { cwd: process.cwd() });
+      verifyCleanTree(treeBefore, []);
+      
+      if (result.success) {
+        buildSuccessful = true;
       } else {
-        // Yarn/npm workspaces
-        const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
-        const workspaces = packageJson.workspaces;
+        if (result.timedOut) {
+          reportTimeout(`${monorepo.tool} affected build`, result);
+        }
+        reportBuildErrors(`${monorepo.tool} affected build`, result);
         
-        if (Array.isArray(workspaces)) {
-          // Simple array of workspace patterns
-          for (const pattern of workspaces) {
-            const matches = execSync(`find ${pattern} -name "package.json" -not -path "*/node_modules/*"`)
-              .toString()
-              .trim()
-              .split('\n')
-              .filter(Boolean);
-            
-            for (const match of matches) {
-              appsToCheck.push(path.dirname(match));
-            }
-          }
-        } else if (workspaces && workspaces.packages) {
-          // Object with packages array
-          for (const pattern of workspaces.packages) {
-            const matches = execSync(`find ${pattern} -name "package.json" -not -path "*/node_modules/*"`)
-              .toString()
-              .trim()
-              .split('\n')
-              .filter(Boolean);
-            
-            for (const match of matches) {
-              appsToCheck.push(path.dirname(match));
-            }
-          }
+        if (shouldEnforce) {
+          console.error(`\n❌ ERROR: ${monorepo.tool} affected build failed!`);
+          console.error('Please fix the build errors before committing.');
+          console.error('You can bypass this check with git commit --no-verify, but this is not recommended.');
+          console.error('Alternatively, set enforce: false for build in hooks-config.js to make this a warning only.');
+          process.exit(1);
+        } else {
+          console.warn(`\n⚠️ WARNING: ${monorepo.tool} affected build failed!`);
+          console.warn('Consider fixing the build errors before committing.');
+          console.warn('This is just a warning and will not prevent your commit.');
+          console.warn('To enforce build verification, set enforce: true for build in hooks-config.js.');
         }
       }
+    } else if (monorepo) {
+      console.log(`📦 Detected monorepo structure (${monorepo.tool})`);
+      
+      // For monorepos, find affected apps and build them
+      const appsToCheck = monorepo.locations;
       
       // Filter to only apps with build scripts and affected by staged files
+      const workspacePackages = readWorkspacePackages(appsToCheck);
+      const workspaceGraph = buildWorkspaceGraph(workspacePackages);
+      const affectedReasons = findAffectedWorkspaces(workspacePackages, workspaceGraph, stagedFiles);
       const appsToBuild = [];
+      const buildReasons = [];
       
-      for (const appPath of appsToCheck) {
-        const packageJsonPath = path.join(appPath, 'package.json');
+      for (const workspace of workspacePackages) {
+        const reason = affectedReasons.get(workspace.dir);
+        const settings = resolveBuildSettings(workspace);
+        const build = getWorkspaceBuildCommand(workspace, settings);
         
-        if (fs.existsSync(packageJsonPath)) {
-          const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-          
-          if (packageJson.scripts && packageJson.scripts.build) {
-            // Check if any staged files affect this app
-            const appRelativePath = path.relative(process.cwd(), appPath);
-            const isAffected = stagedFiles.some(file => 
-              file.startsWith(appRelativePath) || 
-              file.includes('shared') || 
-              file.includes('common')
-            );
-            
-            if (isAffected) {
-              appsToBuild.push(appPath);
-            }
-          }
+        if (!reason || !build) {
+          continue;
+        }
+        
+        if (settings.skip) {
+          console.log(`⏭️ Skipping ${workspace.dir}: skip is set in hooks-config.js`);
+          continue;
         }
+        
+        if (build.unavailable) {
+          console.warn(`⚠️ Not checking ${workspace.dir}: no compile-only check for typecheck mode (${build.unavailable})`);
+          console.warn(`   Add a typecheck script, or set mode: 'full' or 'auto' for ${workspace.dir} under build.apps in hooks-config.js.`);
+          continue;
+        }
+        
+        // An app's inputs are its own files, its workspace dependencies and the shared root files
+        const inputHash = computeBuildInputHash(
+          [...collectDependencyDirs(workspaceGraph, workspace.dir), ...sharedRootFiles],
+          build
+        );
+        
+        if (isBuildCached(inputHash)) {
+          console.log(`⚡ Skipping ${workspace.dir}: these inputs already built successfully`);
+          continue;
+        }
+        
+        appsToBuild.push({
+          dir: workspace.dir,
+          location: workspace.location,
+          name: path.basename(workspace.location),
+          command: build.command,
+          check: build.check,
+          producesOutput: build.producesOutput,
+          settings,
+          cwd: build.cwd,
+          env: build.env,
+          inputHash
+        });
+        buildReasons.push(reason.join(' ← '));
       }
       
       if (appsToBuild.length === 0) {
-        console.log('ℹ️ No affected React apps with build scripts found');
+        console.log('ℹ️ No affected React apps need building');
         buildSuccessful = true;
       } else {
         console.log(`🏗️ Building ${appsToBuild.length} affected React app(s)...`);
+        buildReasons.forEach(reason => console.log(`  ${reason}`));
+        
+        if (buildConcurrency > 1) {
+          console.log(`⚙️ Running up to ${buildConcurrency} builds in parallel`);
+        }
+        console.log('');
         
-        // Build each affected app
-        for (const appPath of appsToBuild) {
-          const appName = path.basename(appPath);
-          console.log(`\n🔨 Building ${appName}...`);
+        // Build the affected apps, collecting every failure
+        prepareStagedSnapshot(workspacePackages.map(workspace => workspace.location));
+        const treeBefore = cleanTreeMode ? captureTreeState(storeTreeContents()) : null;
+        const results = await runBuildQueue(appsToBuild, workspaceGraph, buildConcurrency);
+        verifyCleanTree(treeBefore, appsToBuild.map(app => app.inputHash));
+        removeStagedSnapshot();
+        printBuildSummary(results);
+        
+        const failedApps = results.filter(result => result.status !== 'passed');
+        failedApps
+          .filter(result => result.status !== 'skipped')
+          .forEach(result => reportBuildErrors(result.name, result));
+        
+        const measuredApps = results.filter(result => result.budget);
+        measuredApps.forEach(result => reportBundleSizes(result.name, result.budget));
+        const overBudgetApps = measuredApps.filter(result => result.budget.violations.length > 0);
+        const ratchetedApps = results.filter(result => result.ratchet);
+        ratchetedApps.forEach(result => reportWarningRatchet(result.name, result.ratchet));
+        const moreWarningApps = ratchetedApps.filter(result => result.ratchet.increased);
+        
+        if (failedApps.length > 0) {
+          const failedNames = failedApps.map(result => result.name).join(', ');
           
-          try {
-            execSync('npm run build', { 
-              cwd: appPath, 
-              stdio: 'inherit'
-            });
-            console.log(`✅ Successfully built ${appName}`);
-          } catch (error) {
-            if (shouldEnforce) {
-              console.error(`\n❌ ERROR: Failed to build ${appName}`);
-              console.error('Please fix the build errors before committing.');
-              console.error('You can bypass this check with git commit --no-verify, but this is not recommended.');
-              console.error('Alternatively, set enforce: false for build in hooks-config.js to make this a warning only.');
-              process.exit(1);
-            } else {
-              console.warn(`\n⚠️ WARNING: Failed to build ${appName}`);
-              console.warn('Consider fixing the build errors before committing.');
-              console.warn('This is just a warning and will not prevent your commit.');
-              console.warn('To enforce build verification, set enforce: true for build in hooks-config.js.');
-            }
-            return;
+          if (shouldEnforce) {
+            console.error(`\n❌ ERROR: ${failedApps.length} app(s) did not build: ${failedNames}`);
+            console.error('Please fix the build errors before committing.');
+            console.error('You can bypass this check with git commit --no-verify, but this is not recommended.');
+            console.error('Alternatively, set enforce: false for build in hooks-config.js to make this a warning only.');
+            process.exit(1);
+          } else {
+            console.warn(`\n⚠️ WARNING: ${failedApps.length} app(s) did not build: ${failedNames}`);
+            console.warn('Consider fixing the build errors before committing.');
+            console.warn('This is just a warning and will not prevent your commit.');
+            console.warn('To enforce build verification, set enforce: true for build in hooks-config.js.');
+          }
+          return;
+        }
+        
+        if (overBudgetApps.length > 0 || moreWarningApps.length > 0) {
+          if (overBudgetApps.length > 0) {
+            reportBudgetViolations(overBudgetApps.map(result => result.name));
           }
+          if (moreWarningApps.length > 0) {
+            reportWarningIncrease(moreWarningApps.map(result => result.name));
+          }
+          return;
         }
         
         buildSuccessful = true;
@@ -213,14 +1956,66 @@ const requireOrImport = async (moduleName) => {
       
       // Check if package.json exists and has a build script
       if (fs.existsSync('package.json')) {
-        const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+        const rootApp = readRootApp();
+        const settings = resolveBuildSettings(rootApp);
+        const build = getWorkspaceBuildCommand(rootApp, settings);
+        const inputHash = build && !build.unavailable && computeBuildInputHash(['.'], build);
         
-        if (packageJson.scripts && packageJson.scripts.build) {
-          try {
-            execSync('npm run build', { stdio: 'inherit' });
+        if (settings.skip) {
+          console.log('ℹ️ Build is skipped in hooks-config.js');
+          buildSuccessful = true;
+        } else if (!build) {
+          console.log(`ℹ️ No ${settings.script} script found in package.json`);
+          buildSuccessful = true;
+        } else if (build.unavailable) {
+          console.warn(`⚠️ Not checking the app: no compile-only check for typecheck mode (${build.unavailable})`);
+          console.warn("   Add a typecheck script, or set mode: 'full' or 'auto' for build in hooks-config.js.");
+          buildSuccessful = true;
+        } else if (isBuildCached(inputHash)) {
+          console.log('⚡ Skipping build: these staged changes already built successfully');
+          console.log('   Run with --no-cache to force a build, or --clear-cache to reset the cache.');
+          buildSuccessful = true;
+        } else {
+          console.log(`🧭 Check: ${build.check}`);
+          prepareStagedSnapshot([]);
+          const treeBefore = cleanTreeMode ? captureTreeState(storeTreeContents()) : null;
+          const result = await runBuildCommand(build.command, { cwd: build.cwd, env: build.env });
+          
+          const budget = result.success && budgetsEnabled && build.producesOutput
+            ? checkBundleBudgets({ ...rootApp, settings })
+            : null;
+          verifyCleanTree(treeBefore, [inputHash]);
+          removeStagedSnapshot();
+          
+          if (result.success) {
             console.log('✅ Build successful!');
-            buildSuccessful = true;
-          } catch (error) {
+            
+            const ratchet = warningRatchet.enabled ? checkWarningRatchet({ ...rootApp, check: build.check }, result.warnings) : null;
+            const overBudget = budget && budget.violations.length > 0;
+            
+            if (budget) {
+              reportBundleSizes(rootApp.name, budget);
+            }
+            if (ratchet) {
+              reportWarningRatchet(rootApp.name, ratchet);
+            }
+            if (!(overBudget || (ratchet && ratchet.increased)) || !shouldEnforce) {
+              recordBuildSuccess(inputHash, '.');
+            }
+            
+            if (overBudget) {
+              reportBudgetViolations([rootApp.name]);
+            }
+            if (ratchet && ratchet.increased) {
+              reportWarningIncrease([rootApp.name]);
+            }
+            buildSuccessful = !overBudget && !(ratchet && ratchet.increased);
+          } else {
+            if (result.timedOut) {
+              reportTimeout('Build', result);
+            }
+            reportBuildErrors('the build', result);
+            
             if (shouldEnforce) {
               console.error('\n❌ ERROR: Build failed!');
               console.error('Please fix the build errors before committing.');
@@ -234,9 +2029,6 @@ const requireOrImport = async (moduleName) => {
               console.warn('To enforce build verification, set enforce: true for build in hooks-config.js.');
             }
           }
-        } else {
-          console.log('ℹ️ No build script found in package.json');
-          buildSuccessful = true;
         }
       } else {
         console.log('ℹ️ No package.json found');
@@ -244,7 +2036,7 @@ const requireOrImport = async (moduleName) => {
       }
     }
     
-    if (buildSuccessful) {
+    if (buildSuccessful && !dirtyTreeBlocked) {
       console.log('\n🎉 All builds completed successfully!');
     }
   } catch (error) {
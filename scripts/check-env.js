@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+
+/**
+ * This script blocks staged .env files other than committed templates
+ * (.env.example, .env.template) and compares the keys of local .env files
+ * with those templates. Only key names are printed, never values.
+ * It will warn or block commits based on configuration
+ */
+
+// Module-agnostic imports (works in both CommonJS and ES Module environments)
+const requireOrImport = async (moduleName) => {
+  try {
+    // Check if we're in an ES module environment
+    if (typeof require !== 'undefined') {
+      // CommonJS environment
+      return require(moduleName);
+    } else {
+      // ES Module environment
+      return await import(moduleName);
+    }
+  } catch (error) {
+    console.error(`Error importing module ${moduleName}:`, error.message);
+    process.exit(1);
+  }
+};
+
+// Self-invoking async function to allow top-level await
+(async () => {
+  // Import modules dynamically
+  const fs = await requireOrImport('fs');
+  const path = await requireOrImport('path');
+  const { execFileSync } = await requireOrImport('child_process');
+
+  // Load configuration
+  let config = {
+    env: {
+      enforce: true,
+      enabled: true
+    }
+  };
+
+  try {
+    // Try to load CommonJS config
+    if (typeof require !== 'undefined') {
+      try {
+        const configPath = path.join(process.cwd(), 'hooks-config.js');
+        if (fs.existsSync(configPath)) {
+          config = require(configPath);
+        }
+      } catch (error) {
+        // Ignore error, use default config
+      }
+    } else {
+      // Try to load ES Module config
+      try {
+        const configPath = path.join(process.cwd(), 'hooks-config.mjs');
+        if (fs.existsSync(configPath)) {
+          const importedConfig = await import(configPath);
+          config = importedConfig.default;
+        }
+      } catch (error) {
+        // Ignore error, use default config
+      }
+    }
+  } catch (error) {
+    // Ignore error, use default config
+  }
+
+  // Check if the hook is disabled
+  if (!config.env || config.env.enabled === false) {
+    console.log('ℹ️ Env file check is disabled in hooks-config.js');
+    return;
+  }
+
+  console.log('🔍 Checking staged .env files...');
+
+  // Determine if we should enforce or just warn based on config
+  const shouldEnforce = config.env.enforce === true;
+
+  // Env file names that are meant to be committed, matched against the file name
+  const templates = config.env.templates || ['.env.example', '.env.template', '.env.sample'];
+
+  // What to do when local keys and template keys differ: 'warn', 'fail' or false
+  const keyParity = config.env.keyParity === undefined ? 'warn' : config.env.keyParity;
+
+  const templateRegExps = templates.map(name => new RegExp(
+    `^${name.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`
+  ));
+
+  const isEnvFile = file => /^\.env(\..+)?$/.test(path.basename(file));
+  const isTemplate = file => templateRegExps.some(regex => regex.test(path.basename(file)));
+
+  // Dotenv keys, ignoring comments, blank lines and the continuation lines of
+  // multi-line quoted values
+  function parseKeys(content) {
+    const keys = new Set();
+    let openQuote = null;
+
+    content.split(/\r?\n/).forEach(line => {
+      if (openQuote) {
+        if (line.includes(openQuote)) {
+          openQuote = null;
+        }
+        return;
+      }
+
+      const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/);
+      if (!match) {
+        return;
+      }
+      keys.add(match[1]);
+
+      const quote = match[2].charAt(0);
+      if ((quote === '"' || quote === "'" || quote === '`') && !match[2].slice(1).includes(quote)) {
+        openQuote = quote;
+      }
+    });
+
+    return keys;
+  }
+
+  let stagedFiles;
+  let addedFiles;
+  let trackedFiles;
+  try {
+    stagedFiles = execFileSync('git', ['diff', '--cached', '--name-only', '-z', '--diff-filter=ACMR'])
+      .toString().split('\0').filter(Boolean);
+    addedFiles = execFileSync('git', ['diff', '--cached', '--name-only', '-z', '--diff-filter=AC'])
+      .toString().split('\0').filter(Boolean);
+    trackedFiles = execFileSync('git', ['ls-files', '-z', '--cached'])
+      .toString().split('\0').filter(Boolean);
+  } catch (error) {
+    console.error('❌ Error reading staged files:', error.message);
+    return;
+  }
+
+  // 1. Env files that must not be committed
+  const stagedEnvFiles = stagedFiles.filter(file => isEnvFile(file) && !isTemplate(file));
+
+  // 2. Key parity between each committed template and the local env files next to it
+  const parityReports = [];
+
+  if (keyParity) {
+    const templatesByDir = new Map();
+    trackedFiles.filter(file => isEnvFile(file) && isTemplate(file)).forEach(file => {
+      const dir = path.posix.dirname(file);
+      templatesByDir.set(dir, [...(templatesByDir.get(dir) || []), file]);
+    });
+
+    templatesByDir.forEach((templateFiles, dir) => {
+      const templateKeys = new Set();
+      templateFiles.forEach(file => {
+        // Compare with the version being committed
+        const content = execFileSync('git', ['show', `:${file}`]).toString();
+        parseKeys(content).forEach(key => templateKeys.add(key));
+      });
+
+      const absoluteDir = path.join(process.cwd(), dir);
+      if (!fs.existsSync(absoluteDir)) {
+        return;
+      }
+      const localFiles = fs.readdirSync(absoluteDir)
+        .filter(name => isEnvFile(name) && !isTemplate(name))
+        .filter(name => fs.statSync(path.join(absoluteDir, name)).isFile());
+
+      // Nothing to compare on machines without local env files, such as CI
+      if (localFiles.length === 0) {
+        return;
+      }
+
+      const localKeys = new Set();
+      const undocumented = [];
+
+      localFiles.forEach(name => {
+        const keys = parseKeys(fs.readFileSync(path.join(absoluteDir, name), 'utf8'));
+        keys.forEach(key => {
+          localKeys.add(key);
+          if (!templateKeys.has(key)) {
+            undocumented.push({ file: path.posix.join(dir, name), key });
+          }
+        });
+      });
+
+      const missing = [...templateKeys].filter(key => !localKeys.has(key));
+
+      if (undocumented.length > 0 || missing.length > 0) {
+        parityReports.push({
+          templates: templateFiles,
+          localFiles: localFiles.map(name => path.posix.join(dir, name)),
+          undocumented,
+          missing
+        });
+      }
+    });
+  }
+
+  if (stagedEnvFiles.length === 0 && parityReports.length === 0) {
+    console.log('✅ No .env files are staged and local env keys match the templates.');
+    return;
+  }
+
+  let blocked = false;
+
+  if (stagedEnvFiles.length > 0) {
+    const log = shouldEnforce ? console.error : console.warn;
+
+    if (shouldEnforce) {
+      console.error('❌ ERROR: These .env files are staged for commit:');
+    } else {
+      console.warn('⚠️ WARNING: These .env files are staged for commit:');
+    }
+    stagedEnvFiles.forEach(file => log(`  - ${file}`));
+
+    log('\n🔐 Env files usually hold secrets. Unstage them and keep them out of Git:');
+    // git rm --cached unstages new files and stops tracking ones committed
+    // earlier, whose contents are already in the history
+    stagedEnvFiles.forEach(file => log(addedFiles.includes(file)
+      ? `  git rm --cached ${file}`
+      : `  git rm --cached ${file}  (already tracked: also rotate any secrets it contained)`));
+    log(`Commit the keys (without real values) to a template instead: ${templates.join(', ')}`);
+
+    if (shouldEnforce) {
+      console.error('You can bypass this check with git commit --no-verify, but this is not recommended.');
+      console.error('Alternatively, set enforce: false for env in hooks-config.js to make this a warning only.');
+      blocked = true;
+    } else {
+      console.warn('This is just a warning and will not prevent your commit.');
+      console.warn('To block commits containing .env files, set enforce: true for env in hooks-config.js.');
+    }
+  }
+
+  if (parityReports.length > 0) {
+    const failParity = keyParity === 'fail';
+    const log = failParity ? console.error : console.warn;
+
+    parityReports.forEach(({ templates: templateFiles, localFiles, undocumented, missing }) => {
+      log(`\n📋 ${templateFiles.join(', ')} does not match ${localFiles.join(', ')}:`);
+
+      if (undocumented.length > 0) {
+        log('  Keys set locally but missing from the template:');
+        undocumented.forEach(({ file, key }) => log(`    - ${key} (${file})`));
+      }
+
+      if (missing.length > 0) {
+        log('  Template keys not set in any local env file:');
+        missing.forEach(key => log(`    - ${key}`));
+      }
+    });
+
+    if (failParity) {
+      console.error('\n❌ Add the new keys to the template (without real values) so the team knows about them.');
+      console.error('Alternatively, set keyParity: \'warn\' for env in hooks-config.js to make this a warning only.');
+      blocked = true;
+    } else {
+      console.warn('\n⚠️ Add new keys to the template (without real values), and set missing ones locally.');
+      console.warn('This is just a warning and will not prevent your commit.');
+    }
+  }
+
+  if (blocked) {
+    process.exit(1);
+  }
+})().catch(error => {
+  console.error('❌ Error:', error.message);
+  // Don't exit with error code to allow commit to proceed
+});
@@ -28,6 +28,10 @@ const requireOrImport = async (moduleName) => {
   // Import modules dynamically
   const fs = await requireOrImport('fs');
   const path = await requireOrImport('path');
+  const { execFileSync } = await requireOrImport('child_process');
+
+  // Command line flags
+  const args = process.argv.slice(2);
 
   // Load configuration
   let config = {
@@ -73,25 +77,409 @@ const requireOrImport = async (moduleName) => {
   // Determine if we should enforce or just warn
   const shouldEnforce = config.gitignore && config.gitignore.enforce === true;
 
+  // Add missing patterns instead of only reporting them, optionally staging
+  // the updated .gitignore so the fix lands in the commit being made
+  const autoFix = args.includes('--fix') || config.gitignore.autoFix === true;
+  const stageFix = args.includes('--stage') || config.gitignore.stageFix === true;
+
+  // Longest list of files to print in full
+  const maxListedFiles = 20;
+
+  // Patterns added by --fix live between these markers, below the project's own
+  const managedBlockStart = '# >>> react-build-git-hooks (managed) >>>';
+  const managedBlockEnd = '# <<< react-build-git-hooks (managed) <<<';
+
+  // Append patterns to the managed block of .gitignore, creating the block
+  // (or the file) when needed. Everything outside the block is left as is.
+  function addToManagedBlock(content, patterns) {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const lines = content.length > 0 ? content.split(/\r?\n/) : [];
+    
+    // Drop the empty string after a final newline; it is added back below
+    if (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+    
+    const startIndex = lines.indexOf(managedBlockStart);
+    const endIndex = startIndex === -1 ? -1 : lines.indexOf(managedBlockEnd, startIndex);
+    
+    if (startIndex !== -1 && endIndex !== -1) {
+      lines.splice(endIndex, 0, ...patterns);
+    } else {
+      if (lines.length > 0 && lines[lines.length - 1].trim() !== '') {
+        lines.push('');
+      }
+      lines.push(managedBlockStart, ...patterns, managedBlockEnd);
+    }
+    
+    return lines.join(eol) + eol;
+  }
+
+  // Workspace globs from package.json, lerna.json or pnpm-workspace.yaml
+  function readWorkspaceGlobs() {
+    const readJson = file => {
+      try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        return null;
+      }
+    };
+    
+    const packageJson = readJson('package.json') || {};
+    const workspaces = Array.isArray(packageJson.workspaces)
+      ? packageJson.workspaces
+      : (packageJson.workspaces && packageJson.workspaces.packages) || [];
+    const lernaPackages = (readJson('lerna.json') || {}).packages || [];
+    const pnpmPackages = [];
+    
+    if (fs.existsSync('pnpm-workspace.yaml')) {
+      let inPackages = false;
+      for (const line of fs.readFileSync('pnpm-workspace.yaml', 'utf8').split(/\r?\n/)) {
+        if (/^packages:/.test(line)) {
+          inPackages = true;
+        } else if (inPackages && /^\s*-\s*/.test(line)) {
+          pnpmPackages.push(line.replace(/^\s*-\s*/, '').replace(/\s+#.*$/, '').trim().replace(/^['"]|['"]$/g, ''));
+        } else if (/^\S/.test(line)) {
+          inPackages = false;
+        }
+      }
+    }
+    
+    return [...workspaces, ...lernaPackages, ...pnpmPackages];
+  }
+
+  // Whether a directory matches workspace globs (`*` one level, `**` any, `!` excludes)
+  function matchesWorkspaceGlobs(dir, globs) {
+    const toRegExp = glob => new RegExp(`^${glob.replace(/^\.\//, '').replace(/\/$/, '')
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*\*\//g, '\u0000')
+      .replace(/\*\*/g, '\u0001')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\u0000/g, '(?:.*/)?')
+      .replace(/\u0001/g, '.*')}$`);
+    
+    return globs.some(glob => !glob.startsWith('!') && toRegExp(glob).test(dir)) &&
+      !globs.some(glob => glob.startsWith('!') && toRegExp(glob.slice(1)).test(dir));
+  }
+
+  // Directories to probe: the root, plus every workspace. Without declared
+  // workspaces, every folder with a tracked package.json counts as one.
+  function findProbeDirs() {
+    const dirs = [''];
+    const workspaceGlobs = readWorkspaceGlobs();
+    
+    try {
+      execFileSync('git', ['ls-files', '-z', '--', 'package.json', '*/package.json'])
+        .toString()
+        .split('\0')
+        .filter(file => file && file !== 'package.json' && !file.includes('node_modules/'))
+        .map(file => path.posix.dirname(file))
+        .filter(dir => workspaceGlobs.length === 0 || matchesWorkspaceGlobs(dir, workspaceGlobs))
+        .forEach(dir => dirs.push(dir));
+    } catch (error) {
+      // Not a Git repository, probe the root only
+    }
+    
+    return dirs;
+  }
+
+  // A path that an essential pattern is meant to ignore, inside a directory.
+  // Patterns for folders get a file inside the folder; wildcards are filled in.
+  function probePathFor(pattern, dir) {
+    const name = pattern.replace(/\/$/, '').replace(/\*/g, '');
+    const isFolder = pattern.endsWith('/') || (!name.includes('.') && !pattern.includes('*'));
+    const probe = isFolder ? `${name}/probe` : name;
+    
+    return dir ? `${dir}/${probe}` : probe;
+  }
+
+  // Run git check-ignore on paths that need not exist. Returns, for each path,
+  // whether it is ignored and the negating rule (source:line) if one applies.
+  function checkIgnored(paths) {
+    let output;
+    try {
+      output = execFileSync('git', ['check-ignore', '--no-index', '--verbose', '--non-matching', '-z', '--stdin'], {
+        input: paths.join('\0'),
+        maxBuffer: 16 * 1024 * 1024,
+        stdio: ['pipe', 'pipe', 'ignore']
+      }).toString();
+    } catch (error) {
+      // Exit code 1 only means that none of the paths is ignored
+      if (error.status !== 1 || !error.stdout) {
+        throw error;
+      }
+      output = error.stdout.toString();
+    }
+    const fields = output.split('\0');
+    const results = new Map();
+    
+    for (let i = 0; i + 3 < fields.length; i += 4) {
+      const [source, line, rule, file] = fields.slice(i, i + 4);
+      const negated = rule.startsWith('!');
+      
+      results.set(file, {
+        ignored: Boolean(source) && !negated,
+        rule: negated ? `${path.relative(process.cwd(), source) || source}:${line} "${rule}"` : null
+      });
+    }
+    
+    return results;
+  }
+
+  // Tracked files matching any required pattern, using Git's pattern matching
+  function findTrackedSensitiveFiles() {
+    try {
+      const excludes = requiredPatterns.map(pattern => `--exclude=${pattern}`);
+      return execFileSync('git', ['ls-files', '-z', '--cached', '--ignored', ...excludes], { maxBuffer: 64 * 1024 * 1024 })
+        .toString()
+        .split('\0')
+        .filter(Boolean);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // git rm --cached commands for tracked files, one per folder for files in
+  // ignored folders such as build/ or node_modules/
+  function untrackCommands(files) {
+    const folderNames = essentialPatterns
+      .filter(pattern => probePathFor(pattern, '').endsWith('/probe'))
+      .map(pattern => pattern.replace(/\/$/, ''));
+    const quote = file => (/^[\w./@-]+$/.test(file) ? file : `"${file.replace(/(["\\$`])/g, '\\$1')}"`);
+    const targets = new Set();
+    
+    for (const file of files) {
+      const segments = file.split('/');
+      const folderIndex = segments.findIndex((segment, index) => index < segments.length - 1 && folderNames.includes(segment));
+      targets.add(folderIndex === -1 ? file : `${segments.slice(0, folderIndex + 1).join('/')}/`);
+    }
+    
+    return [...targets].map(target => (target.endsWith('/')
+      ? `git rm -r --cached ${quote(target)}`
+      : `git rm --cached ${quote(target)}`));
+  }
+
+  // The dependencies and config files of one directory
+  function describeDir(dir) {
+    const dependencies = new Set();
+    
+    try {
+      const packageJson = JSON.parse(fs.readFileSync(path.join(dir || '.', 'package.json'), 'utf8'));
+      Object.keys({ ...packageJson.dependencies, ...packageJson.devDependencies }).forEach(name => dependencies.add(name));
+    } catch (error) {
+      // No readable package.json in this folder
+    }
+    
+    const hasFile = name => fs.existsSync(path.join(dir || '.', name));
+    
+    return {
+      uses: name => (name instanceof RegExp ? [...dependencies].some(dependency => name.test(dependency)) : dependencies.has(name)),
+      hasFile,
+      hasConfig: prefix => ['js', 'cjs', 'mjs', 'ts', 'cts', 'mts', 'json'].some(extension => hasFile(`${prefix}.${extension}`))
+    };
+  }
+
+  // A package's name for the report, falling back to its folder
+  function describeWorkspace(dir) {
+    if (!dir) {
+      return 'root';
+    }
+    
+    try {
+      const packageJson = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+      return packageJson.name ? `${dir} (${packageJson.name})` : dir;
+    } catch (error) {
+      return dir;
+    }
+  }
+
+  // Write the missing patterns into .gitignore and stage it if asked to
+  function fixGitignore(content, patterns) {
+    fs.writeFileSync(gitignorePath, addToManagedBlock(content, patterns));
+    console.log(`🔧 Added ${patterns.length} pattern(s) to the managed block in .gitignore:`);
+    patterns.forEach(pattern => console.log(`  ${pattern}`));
+    
+    if (stageFix) {
+      try {
+        execFileSync('git', ['add', '--', '.gitignore'], { stdio: 'ignore' });
+        console.log('📥 Staged .gitignore so the fix is part of this commit.');
+      } catch (error) {
+        console.warn(`⚠️ Could not stage .gitignore: ${error.message}`);
+      }
+    } else {
+      console.log('Remember to commit the updated .gitignore.');
+    }
+  }
+
   console.log('🔍 Checking .gitignore file...');
 
-  // Essential patterns that should be in .gitignore
-  const essentialPatterns = [
-    'node_modules',
-    '.env',
-    '.env.local',
-    '.env.development.local',
-    '.env.test.local',
-    '.env.production.local',
-    'npm-debug.log*',
-    'yarn-debug.log*',
-    'yarn-error.log*',
-    '.DS_Store',
-    'dist',
-    'build',
-    'coverage'
+  // Pattern sets, each used when its framework or tool is detected. Required
+  // patterns block commits when enforce is on; recommended ones only warn.
+  // Folders end in a slash so they are probed as folders.
+  const patternSets = [
+    {
+      name: 'Node.js',
+      detect: () => true,
+      required: [
+        'node_modules',
+        '.env',
+        '.env.local',
+        '.env.development.local',
+        '.env.test.local',
+        '.env.production.local',
+        'npm-debug.log*',
+        'yarn-debug.log*',
+        'yarn-error.log*',
+        '.DS_Store',
+        'dist',
+        'build',
+        'coverage'
+      ],
+      recommended: ['.idea/', '.vscode/', '*.swp', 'Thumbs.db']
+    },
+    {
+      name: 'Next.js',
+      detect: project => project.uses('next') || project.hasConfig('next.config'),
+      required: ['.next/', 'out/'],
+      recommended: ['.vercel/']
+    },
+    {
+      name: 'Vite',
+      detect: project => project.uses('vite') || project.hasConfig('vite.config'),
+      required: [],
+      recommended: ['dist-ssr/', '*.local']
+    },
+    {
+      name: 'Expo',
+      detect: project => project.uses('expo'),
+      required: ['.expo/'],
+      recommended: ['web-build/']
+    },
+    {
+      name: 'Storybook',
+      detect: project => project.uses(/^@storybook\//) || project.hasFile('.storybook'),
+      required: ['storybook-static/'],
+      recommended: []
+    },
+    {
+      name: 'Turborepo',
+      detect: project => project.uses('turbo') || project.hasFile('turbo.json'),
+      required: ['.turbo/'],
+      recommended: []
+    },
+    {
+      name: 'Parcel',
+      detect: project => project.uses('parcel') || project.hasFile('.parcelrc'),
+      required: ['.parcel-cache/'],
+      recommended: []
+    },
+    {
+      name: 'Jest/Vitest',
+      detect: project => project.uses('jest') || project.uses('vitest') ||
+        project.hasConfig('jest.config') || project.hasConfig('vitest.config'),
+      required: ['coverage'],
+      recommended: []
+    },
+    {
+      name: 'TypeScript',
+      detect: project => project.uses('typescript') || project.hasFile('tsconfig.json'),
+      required: [],
+      recommended: ['*.tsbuildinfo']
+    }
   ];
 
+  // The root and every workspace get the sets detected from their own
+  // package.json and config files; workspaces also inherit the root's sets
+  const probeDirs = findProbeDirs();
+  const rootSets = patternSets.filter(set => set.detect(describeDir('')));
+  const setsByDir = new Map(probeDirs.map(dir => [
+    dir,
+    dir ? patternSets.filter(set => rootSets.includes(set) || set.detect(describeDir(dir))) : rootSets
+  ]));
+
+  // Patterns from every detected set, adjusted by gitignore.patterns in
+  // hooks-config.js: 'required' or 'recommended' adds or moves a pattern,
+  // false removes it
+  const patternLevels = new Map();
+  const patternSources = new Map();
+
+  for (const set of patternSets.filter(candidate => [...setsByDir.values()].some(sets => sets.includes(candidate)))) {
+    for (const level of ['required', 'recommended']) {
+      for (const pattern of set[level]) {
+        if (!patternLevels.has(pattern)) {
+          patternLevels.set(pattern, level);
+          patternSources.set(pattern, set.name);
+        }
+      }
+    }
+  }
+
+  const configuredPatterns = [];
+  for (const [pattern, level] of Object.entries(config.gitignore.patterns || {})) {
+    const existing = [...patternLevels.keys()]
+      .find(candidate => candidate.replace(/\/$/, '') === pattern.replace(/\/$/, '')) || pattern;
+    
+    if (level === false) {
+      patternLevels.delete(existing);
+    } else if (level === 'required' || level === 'recommended') {
+      patternLevels.set(existing, level);
+      patternSources.set(existing, patternSources.get(existing) || 'hooks-config.js');
+      configuredPatterns.push(existing);
+    } else {
+      console.warn(`⚠️ Ignoring gitignore pattern "${pattern}": use 'required', 'recommended' or false`);
+    }
+  }
+
+  // The patterns that apply in each directory
+  const patternsByDir = new Map([...setsByDir].map(([dir, sets]) => {
+    const patterns = new Set(sets.flatMap(set => [...set.required, ...set.recommended]));
+    configuredPatterns.forEach(pattern => patterns.add(pattern));
+    return [dir, [...patterns].filter(pattern => patternLevels.has(pattern))];
+  }));
+
+  const essentialPatterns = [...patternLevels.keys()];
+  const requiredPatterns = essentialPatterns.filter(pattern => patternLevels.get(pattern) === 'required');
+  const detectedSets = [...new Set(patternSources.values())].filter(name => name !== 'Node.js' && name !== 'hooks-config.js');
+  
+  if (detectedSets.length > 0) {
+    console.log(`🧩 Including patterns for ${detectedSets.join(', ')}`);
+  }
+  if (probeDirs.length > 1) {
+    console.log(`📦 Checking the root and ${probeDirs.length - 1} workspace(s)`);
+  }
+
+  // Ignore rules do not apply to files Git already tracks, so look for
+  // committed files that match the essential patterns
+  const trackedSensitiveFiles = findTrackedSensitiveFiles();
+
+  if (trackedSensitiveFiles.length > 0) {
+    const stagedFiles = new Set(
+      execFileSync('git', ['diff', '--cached', '--name-only', '-z']).toString().split('\0').filter(Boolean)
+    );
+    const modifiedFiles = trackedSensitiveFiles.filter(file => stagedFiles.has(file));
+    const report = shouldEnforce && modifiedFiles.length > 0 ? console.error : console.warn;
+    
+    report(`${report === console.error ? '❌ ERROR' : '⚠️ WARNING'}: These files are tracked by Git although they match essential ignore patterns:`);
+    trackedSensitiveFiles.slice(0, maxListedFiles).forEach(file => {
+      report(`  ${file}${stagedFiles.has(file) ? '  (modified in this commit)' : ''}`);
+    });
+    if (trackedSensitiveFiles.length > maxListedFiles) {
+      report(`  …and ${trackedSensitiveFiles.length - maxListedFiles} more`);
+    }
+    
+    report('\nStop tracking them (the files stay on disk) with:');
+    untrackCommands(trackedSensitiveFiles).forEach(command => report(`  ${command}`));
+    report('Then commit the removal. Secrets that were committed should also be rotated.');
+    
+    if (report === console.error) {
+      console.error('\nThis commit modifies tracked sensitive files.');
+      console.error('You can bypass this check with git commit --no-verify, but this is not recommended.');
+      console.error('Alternatively, set enforce: false for gitignore in hooks-config.js to make this a warning only.');
+      process.exit(1);
+    }
+    console.warn('');
+  }
+
   // Check if .gitignore exists
   const gitignorePath = path.join(process.cwd(), '.gitignore');
   let gitignoreContent = '';
@@ -99,6 +487,12 @@ const requireOrImport = async (moduleName) => {
   try {
     gitignoreContent = fs.readFileSync(gitignorePath, 'utf8');
   } catch (error) {
+    if (autoFix) {
+      console.log('⚠️ .gitignore file not found, creating one.');
+      fixGitignore('', essentialPatterns);
+      return;
+    }
+    
     if (shouldEnforce) {
       console.error('❌ ERROR: .gitignore file not found!');
       console.error('Please create a .gitignore file with essential patterns.');
@@ -118,40 +512,93 @@ const requireOrImport = async (moduleName) => {
     }
   }
 
-  // Check if all essential patterns are in .gitignore
-  const missingPatterns = [];
+  // Ask Git which probe paths its ignore rules (every .gitignore, .git/info/exclude
+  // and the global excludes file) would ignore, so equivalent spellings such as
+  // /node_modules or .env* count and later ! negations are noticed
+  let ignoreResults = null;
+  
+  try {
+    // Folders are asked about too: a negated folder hides the rule from the paths inside it
+    ignoreResults = checkIgnored([...patternsByDir].flatMap(([dir, patterns]) => patterns
+      .map(pattern => probePathFor(pattern, dir))
+      .flatMap(probe => (probe.endsWith('/probe') ? [probe, probe.slice(0, -'/probe'.length)] : [probe]))));
+  } catch (error) {
+    console.warn(`⚠️ Could not ask Git about ignore rules (${error.message}), comparing .gitignore lines instead`);
+  }
+  
+  // For each directory, the patterns whose paths would still be tracked there
+  const missingByDir = new Map();
 
-  essentialPatterns.forEach(pattern => {
-    // Check if pattern is in .gitignore
-    // We need to handle comments and empty lines
-    const lines = gitignoreContent.split('\n');
-    const patternFound = lines.some(line => {
-      const trimmedLine = line.trim();
-      return trimmedLine === pattern || trimmedLine.startsWith(`${pattern}/`);
+  for (const [dir, patterns] of patternsByDir) {
+    const missing = patterns.filter(pattern => {
+      if (!ignoreResults) {
+        // Without Git, look for the pattern as a line of the root .gitignore
+        return !gitignoreContent.split('\n').some(line => {
+          const trimmedLine = line.trim();
+          return trimmedLine === pattern || trimmedLine.startsWith(`${pattern}/`);
+        });
+      }
+      return !ignoreResults.get(probePathFor(pattern, dir)).ignored;
     });
+    
+    if (missing.length > 0 && (dir === '' || ignoreResults)) {
+      missingByDir.set(dir, missing);
+    }
+  }
+
+  const missingPatterns = essentialPatterns.filter(pattern =>
+    [...missingByDir.values()].some(missing => missing.includes(pattern)));
 
-    if (!patternFound) {
-      missingPatterns.push(pattern);
+  // One line per pattern, grouped by package, with the rule that un-ignores it
+  const reportMissing = (report, level) => {
+    for (const [dir, missing] of missingByDir) {
+      const patterns = missing.filter(pattern => patternLevels.get(pattern) === level);
+      if (patterns.length === 0) {
+        continue;
+      }
+      
+      report(`  ${describeWorkspace(dir)}`);
+      for (const pattern of patterns) {
+        const source = patternSources.get(pattern) !== 'Node.js' ? ` [${patternSources.get(pattern)}]` : '';
+        const probe = probePathFor(pattern, dir);
+        const rule = ignoreResults && (ignoreResults.get(probe).rule ||
+          (ignoreResults.get(probe.replace(/\/probe$/, '')) || {}).rule);
+        const negation = rule ? `  (un-ignored by ${rule})` : '';
+        report(`    ${pattern}${source}${negation}`);
+      }
     }
-  });
+  };
 
-  if (missingPatterns.length > 0) {
-    if (shouldEnforce) {
-      console.error('❌ ERROR: .gitignore is missing essential patterns:');
-      missingPatterns.forEach(pattern => console.error(`  ${pattern}`));
-      console.error('\nPlease add these patterns to your .gitignore file.');
+  const missingRequired = missingPatterns.filter(pattern => patternLevels.get(pattern) === 'required');
+  const missingRecommended = missingPatterns.filter(pattern => patternLevels.get(pattern) === 'recommended');
+
+  if (missingPatterns.length > 0 && autoFix) {
+    fixGitignore(gitignoreContent, missingPatterns);
+  } else if (missingPatterns.length > 0) {
+    if (missingRecommended.length > 0) {
+      console.warn('💡 Git would not ignore these recommended patterns:');
+      reportMissing(console.warn, 'recommended');
+      console.warn('Set a pattern to false under gitignore.patterns in hooks-config.js if you do not want it.\n');
+    }
+    
+    if (missingRequired.length === 0) {
+      console.log('✅ .gitignore contains all required patterns.');
+    } else if (shouldEnforce) {
+      console.error('❌ ERROR: Git would not ignore these required patterns:');
+      reportMissing(console.error, 'required');
+      console.error('\nPlease add these patterns to your .gitignore file, or run node scripts/check-gitignore.js --fix.');
       console.error('You can bypass this check with git commit --no-verify, but this is not recommended.');
       console.error('Alternatively, set enforce: false for gitignore in hooks-config.js to make this a warning only.');
       process.exit(1);
     } else {
-      console.warn('⚠️ WARNING: .gitignore is missing essential patterns:');
-      missingPatterns.forEach(pattern => console.warn(`  ${pattern}`));
-      console.warn('\nConsider adding these patterns to your .gitignore file.');
+      console.warn('⚠️ WARNING: Git would not ignore these required patterns:');
+      reportMissing(console.warn, 'required');
+      console.warn('\nConsider adding these patterns to your .gitignore file, or run node scripts/check-gitignore.js --fix.');
       console.warn('This is just a warning and will not prevent your commit.');
       console.warn('To enforce gitignore checks, set enforce: true for gitignore in hooks-config.js.');
     }
   } else {
-    console.log('✅ .gitignore already contains all essential patterns.');
+    console.log('✅ .gitignore already contains all required and recommended patterns.');
   }
 })().catch(error => {
   console.error('❌ Error:', error.message);
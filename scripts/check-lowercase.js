@@ -1,9 +1,11 @@
 #!/usr/bin/env node
 
 /**
- * This script checks that all staged files have lowercase names
- * and all import statements use lowercase paths
- * It will warn or block commits based on configuration
+ * This script checks that staged file names and import statements follow
+ * the naming conventions configured per path glob (lowercase by default),
+ * and that relative imports match the letter case of the files they import
+ * It will warn or block commits based on configuration, and with --fix
+ * renames the files and updates the imports that point at them
  */
 
 // Module-agnostic imports (works in both CommonJS and ES Module environments)
@@ -28,7 +30,7 @@ const requireOrImport = async (moduleName) => {
   // Import modules dynamically
   const fs = await requireOrImport('fs');
   const path = await requireOrImport('path');
-  const { execSync } = await requireOrImport('child_process');
+  const { execSync, execFileSync } = await requireOrImport('child_process');
 
   // Load configuration
   let config = {
@@ -71,15 +73,28 @@ const requireOrImport = async (moduleName) => {
     return;
   }
 
-  console.log('🔍 Checking for lowercase file names and import statements...');
+  console.log('🔍 Checking file names and import statements against naming conventions...');
+
+  // Read the staged version of each file instead of the working tree copy,
+  // so unstaged edits cannot hide or introduce problems
+  const readStaged = process.argv.includes('--staged') || config.lowercase.staged === true;
+  const readFileContent = file => (readStaged
+    ? execFileSync('git', ['show', `:${file}`], { maxBuffer: 64 * 1024 * 1024 }).toString()
+    : fs.readFileSync(file, 'utf8'));
+
+  // Rename files to their suggested names and update the imports that point
+  // at them, instead of only reporting them
+  const autoFix = process.argv.includes('--fix') || config.lowercase.autoFix === true;
 
   // Get staged files (excluding deleted files)
-  const stagedFiles = execSync('git diff --cached --name-only --diff-filter=d')
+  const getStagedFiles = () => execSync('git diff --cached --name-only --diff-filter=d')
     .toString()
     .trim()
     .split('\n')
     .filter(Boolean); // Remove empty lines
 
+  let stagedFiles = getStagedFiles();
+
   if (stagedFiles.length === 0) {
     console.log('ℹ️ No staged files found.');
     return;
@@ -91,37 +106,439 @@ const requireOrImport = async (moduleName) => {
     '.mjs', '.cjs', '.mts', '.cts'
   ];
 
-  // Patterns to match import statements
-  const importPatterns = [
-    /import\s+.*\s+from\s+['"](.+)['"]/g,         // import x from 'path'
-    /import\s*\(\s*['"](.+)['"]\s*\)/g,           // import('path')
-    /require\s*\(\s*['"](.+)['"]\s*\)/g,          // require('path')
-    /import\s+['"](.+)['"]/g,                      // import 'path'
-    /export\s+.*\s+from\s+['"](.+)['"]/g,          // export x from 'path'
-    /dynamic\s*\(\s*['"](.+)['"]\s*\)/g            // dynamic('path') (Next.js)
-  ];
+  // Relative specifiers in import/export ... from (also when the import is
+  // wrapped over several lines), side-effect imports, dynamic import(),
+  // require() and Next.js dynamic('path'). Used both to check imports and to
+  // rewrite them in --fix mode.
+  const specifierPattern = /(\bfrom\s*|\bimport\s*\(\s*|\bimport\s+|\brequire\s*\(\s*|\bdynamic\s*\(\s*)(['"])(\.{1,2}(?:\/[^'"\n]*)?)\2/g;
+
+  // Skip node_modules, build directories, and dot files
+  const isSkippedFile = file => file.includes('node_modules/') ||
+    file.includes('/build/') ||
+    file.includes('/dist/') ||
+    path.basename(file).startsWith('.');
+
+  // Glob matching for convention keys: * stays within a folder, ** crosses
+  // folders, and a glob without a slash matches the file name in any folder
+  function globToRegExp(glob) {
+    const source = glob
+      .replace(/[.+^$()|[\]\\]/g, '\\$&')
+      .replace(/\{([^}]*)\}/g, (match, options) => `(${options.split(',').join('|')})`)
+      .replace(/\*\*\/?/g, '\u0000')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]')
+      .replace(/\u0000/g, '.*');
+    return new RegExp(glob.includes('/') ? `^${source}$` : `(^|/)${source}$`);
+  }
+
+  // Words of a name, whatever style it is written in: userCard, UserCard,
+  // user-card and user_card all give ['user', 'card']
+  const splitWords = name => name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[\s_-]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+
+  const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+  // Word-based styles apply to the part of the name before the first dot, so
+  // Button.test.jsx and button.module.css are judged by Button and button
+  const namingStyles = {
+    'kebab-case': {
+      pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+      join: words => words.join('-')
+    },
+    snake_case: {
+      pattern: /^[a-z0-9]+(_[a-z0-9]+)*$/,
+      join: words => words.join('_')
+    },
+    camelCase: {
+      pattern: /^[a-z][a-zA-Z0-9]*$/,
+      join: words => words[0] + words.slice(1).map(capitalize).join('')
+    },
+    PascalCase: {
+      pattern: /^[A-Z][a-zA-Z0-9]*$/,
+      join: words => words.map(capitalize).join('')
+    }
+  };
+
+  // A convention is 'lowercase', one of the namingStyles, a RegExp tested
+  // against the whole file name, { style, prefix } or false for no check
+  function normalizeConvention(glob, convention) {
+    if (convention === false || convention === null) {
+      return null;
+    }
+    if (convention instanceof RegExp) {
+      return { pattern: convention, label: `matching ${convention}` };
+    }
+
+    const { style, prefix, pattern } = typeof convention === 'string' ? { style: convention } : convention;
+
+    if (pattern) {
+      return { pattern: new RegExp(pattern), label: `matching ${pattern}` };
+    }
+    if (style !== 'lowercase' && !namingStyles[style]) {
+      console.warn(`⚠️ Unknown naming style "${style}" for ${glob} in hooks-config.js, ignoring it.`);
+      return null;
+    }
+    return { style, prefix, label: prefix ? `${style} with "${prefix}" prefix` : style };
+  }
+
+  // Later globs win, so specific folders can override a broad default
+  const defaultConvention = { style: 'lowercase', label: 'lowercase' };
+  const conventionRules = Object.entries(config.lowercase.conventions || {})
+    .map(([glob, convention]) => ({ regex: globToRegExp(glob), convention: normalizeConvention(glob, convention) }));
+
+  function conventionFor(file) {
+    let convention = defaultConvention;
+    conventionRules.forEach(rule => {
+      if (rule.regex.test(file)) {
+        convention = rule.convention;
+      }
+    });
+    return convention;
+  }
+
+  // Check a file name against its convention. Returns null when it complies,
+  // otherwise the convention and a compliant name (null for custom patterns)
+  function checkName(file) {
+    const convention = conventionFor(file);
+    if (!convention) {
+      return null;
+    }
+
+    const name = path.posix.basename(file);
+
+    if (convention.pattern) {
+      return convention.pattern.test(name) ? null : { convention, suggestion: null };
+    }
+
+    if (convention.style === 'lowercase') {
+      return name === name.toLowerCase() ? null : { convention, suggestion: name.toLowerCase() };
+    }
+
+    const dot = name.indexOf('.');
+    const stem = dot === -1 ? name : name.slice(0, dot);
+    const rest = dot === -1 ? '' : name.slice(dot);
+    const style = namingStyles[convention.style];
+    const words = splitWords(stem);
+    const prefixWords = convention.prefix ? splitWords(convention.prefix) : [];
+    const hasPrefix = prefixWords.every((word, index) => words[index] === word);
+
+    if (style.pattern.test(stem) && hasPrefix) {
+      return null;
+    }
+
+    const suggestion = `${style.join(hasPrefix ? words : [...prefixWords, ...words])}${rest}`;
+
+    // Names such as [id].jsx or 404.jsx have no compliant spelling
+    return suggestion === name ? null : { convention, suggestion };
+  }
+
+  const git = (...gitArgs) => execFileSync('git', gitArgs, { maxBuffer: 64 * 1024 * 1024 }).toString();
+
+  const scriptExtensions = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+  const stripExtension = file => file.slice(0, file.length - path.posix.extname(file).length);
+
+  // Whether a specifier written in importer refers to target, with or without
+  // its extension, or with a .js extension for a TypeScript file
+  function pointsAt(importer, specifier, target) {
+    const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(importer), specifier));
+    if (resolved === target || resolved === stripExtension(target)) {
+      return true;
+    }
+    return scriptExtensions.includes(path.posix.extname(resolved)) &&
+      scriptExtensions.includes(path.posix.extname(target)) &&
+      stripExtension(resolved) === stripExtension(target);
+  }
+
+  // The last segment of a specifier pointing at a renamed file, spelled the
+  // same way (with or without extension) but with the new name
+  function renamedSegment(segment, { from, to }) {
+    const oldName = path.posix.basename(from);
+    const newName = path.posix.basename(to);
+    if (segment === oldName) {
+      return newName;
+    }
+    if (segment === stripExtension(oldName)) {
+      return stripExtension(newName);
+    }
+    return `${stripExtension(newName)}${path.posix.extname(segment)}`;
+  }
+
+  // Only the last segment of a specifier changes: renames never touch folders
+  function rewriteImports(importer, content, renames) {
+    return content.replace(specifierPattern, (match, prefix, quote, specifier) => {
+      const rename = renames.find(({ from }) => pointsAt(importer, specifier, from));
+      if (!rename) {
+        return match;
+      }
+      const segments = specifier.split('/');
+      segments[segments.length - 1] = renamedSegment(segments[segments.length - 1], rename);
+      return `${prefix}${quote}${segments.join('/')}${quote}`;
+    });
+  }
+
+  // Rename each file with git mv. Going through a temporary name makes the
+  // rename work on case-insensitive file systems (macOS, Windows), where the
+  // old and new names are the same file and core.ignorecase hides the change.
+  function renameFiles(planned) {
+    const tracked = new Set(git('ls-files', '-z').split('\0').filter(Boolean));
+    const renames = [];
+
+    for (const { from, to } of planned) {
+      const dir = path.posix.dirname(from);
+      const temporary = path.posix.join(dir, `.${path.posix.basename(to)}.${process.pid}.tmp`);
+
+      if (tracked.has(to) || renames.some(rename => rename.to === to)) {
+        console.warn(`⚠️ Not renaming ${from}: ${to} already exists.`);
+        continue;
+      }
+
+      try {
+        git('mv', '--', from, temporary);
+      } catch (error) {
+        console.warn(`⚠️ Could not rename ${from}: ${error.message}`);
+        continue;
+      }
+
+      try {
+        git('mv', '--', temporary, to);
+      } catch (error) {
+        git('mv', '--', temporary, from);
+        console.warn(`⚠️ Could not rename ${from}: ${error.message}`);
+        continue;
+      }
+
+      renames.push({ from, to });
+      console.log(`🔧 Renamed ${from} → ${to}`);
+    }
+
+    return renames;
+  }
+
+  // Point every relative import in the repository at the new names. The
+  // staged and working tree copies are rewritten separately, so unstaged
+  // edits in those files stay unstaged.
+  function updateImports(renames) {
+    const codePathspecs = codeFileExtensions.map(ext => `*${ext}`);
+    const oldNames = renames.map(({ from }) => path.posix.basename(stripExtension(from)));
+    const grepArgs = ['-l', '-z', '-F', ...oldNames.flatMap(name => ['-e', name]), '--', ...codePathspecs];
+
+    // Narrow the search to files mentioning an old name, in either copy
+    const findFiles = (...extraArgs) => {
+      try {
+        return git('grep', ...extraArgs, ...grepArgs).split('\0').filter(Boolean);
+      } catch (error) {
+        // git grep exits with 1 when nothing matches
+        return [];
+      }
+    };
+    const candidates = [...new Set([...findFiles('--cached'), ...findFiles()])]
+      .filter(file => !file.includes('node_modules/'));
+
+    const updated = [];
+
+    for (const file of candidates) {
+      let changed = false;
+
+      if (fs.existsSync(file)) {
+        const working = fs.readFileSync(file, 'utf8');
+        const fixedWorking = rewriteImports(file, working, renames);
+        if (fixedWorking !== working) {
+          fs.writeFileSync(file, fixedWorking);
+          changed = true;
+        }
+      }
+
+      const stagedEntry = git('ls-files', '-s', '--', file).trim();
+      if (stagedEntry) {
+        const staged = git('show', `:${file}`);
+        const fixedStaged = rewriteImports(file, staged, renames);
+        if (fixedStaged !== staged) {
+          const mode = stagedEntry.split(' ')[0];
+          const blob = execFileSync('git', ['hash-object', '-w', '--stdin'], { input: fixedStaged }).toString().trim();
+          git('update-index', '--cacheinfo', `${mode},${blob},${file}`);
+          changed = true;
+        }
+      }
+
+      if (changed) {
+        updated.push(file);
+      }
+    }
+
+    return updated;
+  }
+
+  if (autoFix) {
+    const toRename = stagedFiles
+      .filter(file => !isSkippedFile(file))
+      .map(file => ({ from: file, violation: checkName(file) }))
+      .filter(({ violation }) => violation && violation.suggestion)
+      .map(({ from, violation }) => ({ from, to: path.posix.join(path.posix.dirname(from), violation.suggestion) }));
+
+    if (toRename.length > 0) {
+      const renames = renameFiles(toRename);
+
+      if (renames.length > 0) {
+        const updated = updateImports(renames);
+        if (updated.length > 0) {
+          console.log(`🔧 Updated imports in ${updated.length} file(s):`);
+          updated.forEach(file => console.log(`  ${file}`));
+        }
+        console.log('📥 Staged the renames and updated imports so they are part of this commit.');
+        stagedFiles = getStagedFiles();
+      }
+    }
+  }
+
+  // Tracked and staged files, for resolving import paths
+  const trackedFiles = new Set(git('ls-files', '-z').split('\0').filter(Boolean));
+  const resolutionExtensions = [...codeFileExtensions, '.json'];
+
+  // What to do with imports whose letter case differs from the file on disk:
+  // 'fail', 'warn' or false
+  const importCase = config.lowercase.importCase === undefined ? 'fail' : config.lowercase.importCase;
+
+  // Tracked files by lowercased path, to find imports that only resolve when
+  // letter case is ignored, as on macOS and Windows
+  const trackedByLowercase = new Map();
+  trackedFiles.forEach(file => {
+    if (!trackedByLowercase.has(file.toLowerCase())) {
+      trackedByLowercase.set(file.toLowerCase(), file);
+    }
+  });
+
+  // TypeScript lets imports name the compiled .js file of a .ts source
+  const typescriptExtensions = {
+    '.js': ['.ts', '.tsx'],
+    '.jsx': ['.tsx'],
+    '.mjs': ['.mts'],
+    '.cjs': ['.cts']
+  };
+
+  // The file an import path refers to, trying the extensions and index files
+  // a bundler would. Folder imports resolve to their index file. When only a
+  // case-insensitive match exists, caseMismatch is set: the import works on
+  // macOS and Windows but fails on Linux and in CI.
+  function resolveImport(importer, specifier) {
+    const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(importer), specifier)).replace(/\/$/, '');
+    const ext = path.posix.extname(resolved);
+
+    // Each candidate remembers which part of it was written in the import
+    // (base) and which written extension it replaced (suffix)
+    const fileCandidates = [
+      { path: resolved, base: resolved, suffix: '' },
+      ...resolutionExtensions.map(extension => ({ path: `${resolved}${extension}`, base: resolved, suffix: '' })),
+      ...(typescriptExtensions[ext] || []).map(extension => ({
+        path: `${stripExtension(resolved)}${extension}`,
+        base: stripExtension(resolved),
+        suffix: ext
+      }))
+    ];
+    const indexCandidates = resolutionExtensions.map(extension => ({
+      path: `${resolved}/index${extension}`,
+      base: resolved,
+      suffix: '',
+      index: true
+    }));
+    const candidates = [...fileCandidates, ...indexCandidates];
+
+    const exact = candidates.find(candidate => trackedFiles.has(candidate.path));
+    if (exact) {
+      return { resolved, file: exact.path, index: Boolean(exact.index) };
+    }
+
+    if (importCase) {
+      const loose = candidates.find(candidate => trackedByLowercase.has(candidate.path.toLowerCase()));
+      if (loose) {
+        return {
+          resolved,
+          file: trackedByLowercase.get(loose.path.toLowerCase()),
+          index: Boolean(loose.index),
+          caseMismatch: true,
+          base: loose.base,
+          suffix: loose.suffix
+        };
+      }
+    }
+
+    return { resolved, file: null, index: false };
+  }
+
+  // The import path spelled with the letter case of the file it resolves to.
+  // Segments written in the import take the case of the matching segments of
+  // the tracked path; ./ and ../ are left alone.
+  function correctSpelling(specifier, { file, base, suffix }) {
+    const trailingSlash = specifier.endsWith('/') ? '/' : '';
+    const segments = specifier.replace(/\/$/, '').split('/');
+    const correct = `${file.slice(0, base.length)}${suffix}`.split('/');
+
+    for (let i = 1; i <= segments.length && i <= correct.length; i++) {
+      const segment = segments[segments.length - i];
+      if (segment === '.' || segment === '..') {
+        break;
+      }
+      segments[segments.length - i] = correct[correct.length - i];
+    }
+
+    return `${segments.join('/')}${trailingSlash}`;
+  }
+
+  // An import path breaks the convention when the lowercase convention
+  // applies and the path has uppercase letters (as before conventions
+  // existed), or when it names a file whose own name breaks its convention
+  function checkImport(file, importPath, target) {
+    const convention = conventionFor(target.file || target.resolved);
+
+    if (!convention) {
+      return null;
+    }
+
+    if (convention.style === 'lowercase') {
+      return importPath === importPath.toLowerCase()
+        ? null
+        : { convention, suggestion: importPath.toLowerCase() };
+    }
+
+    if (!target.file || target.index) {
+      return null;
+    }
+
+    const violation = checkName(target.file);
+    if (!violation) {
+      return null;
+    }
+
+    const segments = importPath.split('/');
+    if (violation.suggestion) {
+      segments[segments.length - 1] = renamedSegment(segments[segments.length - 1], {
+        from: target.file,
+        to: path.posix.join(path.posix.dirname(target.file), violation.suggestion)
+      });
+    }
+    return { convention: violation.convention, suggestion: violation.suggestion ? segments.join('/') : null };
+  }
 
   let hasWarnings = false;
   const warnings = {
     fileNames: [],
-    imports: []
+    imports: [],
+    importCase: []
   };
 
   // Check file names
   for (const file of stagedFiles) {
-    const fileName = path.basename(file);
-    
-    // Skip node_modules, build directories, and dot files
-    if (file.includes('node_modules/') || 
-        file.includes('/build/') || 
-        file.includes('/dist/') ||
-        fileName.startsWith('.')) {
+    if (isSkippedFile(file)) {
       continue;
     }
     
-    // Check if file name contains uppercase letters
-    if (fileName !== fileName.toLowerCase()) {
-      warnings.fileNames.push(file);
+    // Check the file name against the convention for its path
+    const violation = checkName(file);
+    if (violation) {
+      warnings.fileNames.push({ file, ...violation });
       hasWarnings = true;
     }
     
@@ -129,28 +546,37 @@ const requireOrImport = async (moduleName) => {
     const ext = path.extname(file).toLowerCase();
     if (codeFileExtensions.includes(ext)) {
       try {
-        const content = fs.readFileSync(file, 'utf8');
+        const content = readFileContent(file);
         
-        for (const pattern of importPatterns) {
-          const matches = [...content.matchAll(pattern)];
+        for (const match of content.matchAll(specifierPattern)) {
+          const importPath = match[3];
           
-          for (const match of matches) {
-            const importPath = match[1];
-            
-            // Skip package imports, relative path imports without uppercase, and URL imports
-            if (!importPath.startsWith('.') || 
-                importPath.toLowerCase() === importPath ||
-                importPath.startsWith('http://') ||
-                importPath.startsWith('https://')) {
-              continue;
-            }
-            
-            warnings.imports.push({
+          const target = resolveImport(file, importPath);
+          
+          // A wrong letter case breaks the build on Linux, so report it
+          // instead of the naming convention of the path as written
+          if (target.caseMismatch) {
+            warnings.importCase.push({
               file,
-              importPath
+              importPath,
+              suggestion: correctSpelling(importPath, target),
+              target: target.file
             });
             hasWarnings = true;
+            continue;
+          }
+          
+          const importViolation = checkImport(file, importPath, target);
+          if (!importViolation) {
+            continue;
           }
+          
+          warnings.imports.push({
+            file,
+            importPath,
+            ...importViolation
+          });
+          hasWarnings = true;
         }
       } catch (error) {
         console.error(`❌ Error reading file ${file}:`, error.message);
@@ -159,42 +585,80 @@ const requireOrImport = async (moduleName) => {
   }
 
   // Report warnings
-  if (hasWarnings) {
+  let blocked = false;
+
+  if (warnings.importCase.length > 0) {
+    const failCase = importCase === 'fail';
+    const log = failCase ? console.error : console.warn;
+
+    if (failCase) {
+      console.error('❌ ERROR: These imports only work on case-insensitive file systems (macOS, Windows) and break on Linux and CI:');
+    } else {
+      console.warn('⚠️ WARNING: These imports only work on case-insensitive file systems (macOS, Windows) and break on Linux and CI:');
+    }
+
+    warnings.importCase.forEach(({ file, importPath, suggestion, target }) => {
+      log(`  - ${file}: "${importPath}" → "${suggestion}" (${target})`);
+    });
+
+    if (failCase) {
+      console.error('\n❌ Please spell these import paths exactly like the files they import.');
+      console.error('You can bypass this check with git commit --no-verify, but this is not recommended.');
+      console.error('Alternatively, set importCase: \'warn\' for lowercase in hooks-config.js to make this a warning only.\n');
+      blocked = true;
+    } else {
+      console.warn('\n⚠️ Consider spelling these import paths exactly like the files they import.');
+      console.warn('This is just a warning and will not prevent your commit.\n');
+    }
+  }
+
+  if (warnings.fileNames.length > 0 || warnings.imports.length > 0) {
     // Determine if we should enforce or just warn based on config
     const shouldEnforce = config.lowercase && config.lowercase.enforce === true;
+    const describe = ({ convention, suggestion }) => (suggestion
+      ? `(${convention.label}) → ${suggestion}`
+      : `(should be ${convention.label})`);
     
     if (shouldEnforce) {
-      console.error('❌ ERROR: Found files that do not follow lowercase naming convention:');
+      console.error('❌ ERROR: Found files that do not follow the naming conventions:');
     } else {
-      console.warn('⚠️ WARNING: Found files that do not follow lowercase naming convention:');
+      console.warn('⚠️ WARNING: Found files that do not follow the naming conventions:');
     }
     
     if (warnings.fileNames.length > 0) {
-      console[shouldEnforce ? 'error' : 'warn']('\n📁 Files with uppercase names:');
-      warnings.fileNames.forEach(file => {
-        console[shouldEnforce ? 'error' : 'warn'](`  - ${file}`);
+      console[shouldEnforce ? 'error' : 'warn']('\n📁 File names:');
+      warnings.fileNames.forEach(warning => {
+        console[shouldEnforce ? 'error' : 'warn'](`  - ${warning.file} ${describe(warning)}`);
       });
     }
     
     if (warnings.imports.length > 0) {
-      console[shouldEnforce ? 'error' : 'warn']('\n📦 Files with uppercase import paths:');
-      warnings.imports.forEach(({ file, importPath }) => {
-        console[shouldEnforce ? 'error' : 'warn'](`  - ${file}: import path "${importPath}"`);
+      console[shouldEnforce ? 'error' : 'warn']('\n📦 Import paths:');
+      warnings.imports.forEach(warning => {
+        console[shouldEnforce ? 'error' : 'warn'](`  - ${warning.file}: import path "${warning.importPath}" ${describe(warning)}`);
       });
     }
     
     if (shouldEnforce) {
-      console.error('\n❌ Please rename these files and update import statements to use lowercase.');
+      console.error('\n❌ Please rename these files and update import statements to follow the naming conventions.');
+      console.error('Run node scripts/check-lowercase.js --fix to rename staged files and update their imports.');
       console.error('You can bypass this check with git commit --no-verify, but this is not recommended.');
       console.error('Alternatively, set enforce: false for lowercase in hooks-config.js to make this a warning only.');
-      process.exit(1);
+      blocked = true;
     } else {
-      console.warn('\n⚠️ Consider renaming these files and updating import statements to use lowercase.');
+      console.warn('\n⚠️ Consider renaming these files and updating import statements to follow the naming conventions.');
+      console.warn('Run node scripts/check-lowercase.js --fix to rename staged files and update their imports.');
       console.warn('This is just a warning and will not prevent your commit.');
-      console.warn('To enforce lowercase naming, set enforce: true for lowercase in hooks-config.js.');
+      console.warn('To enforce naming conventions, set enforce: true for lowercase in hooks-config.js.');
     }
-  } else {
-    console.log('✅ All file names and import statements follow lowercase convention.');
+  }
+
+  if (blocked) {
+    process.exit(1);
+  }
+
+  if (!hasWarnings) {
+    console.log('✅ All file names and import statements follow the naming conventions.');
   }
 })().catch(error => {
   console.error('❌ Error:', error.message);
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+/**
+ * This script scans the lines added in the staged diff for hard-coded
+ * credentials (cloud and API tokens, private keys, JWTs, high-entropy secrets)
+ * It will warn or block commits based on configuration
+ */
+
+// Module-agnostic imports (works in both CommonJS and ES Module environments)
+const requireOrImport = async (moduleName) => {
+  try {
+    // Check if we're in an ES module environment
+    if (typeof require !== 'undefined') {
+      // CommonJS environment
+      return require(moduleName);
+    } else {
+      // ES Module environment
+      return await import(moduleName);
+    }
+  } catch (error) {
+    console.error(`Error importing module ${moduleName}:`, error.message);
+    process.exit(1);
+  }
+};
+
+// Self-invoking async function to allow top-level await
+(async () => {
+  // Import modules dynamically
+  const fs = await requireOrImport('fs');
+  const path = await requireOrImport('path');
+  const crypto = await requireOrImport('crypto');
+  const { execFileSync } = await requireOrImport('child_process');
+
+  // Load configuration
+  let config = {
+    secrets: {
+      enforce: true,
+      enabled: true
+    }
+  };
+
+  try {
+    // Try to load CommonJS config
+    if (typeof require !== 'undefined') {
+      try {
+        const configPath = path.join(process.cwd(), 'hooks-config.js');
+        if (fs.existsSync(configPath)) {
+          config = require(configPath);
+        }
+      } catch (error) {
+        // Ignore error, use default config
+      }
+    } else {
+      // Try to load ES Module config
+      try {
+        const configPath = path.join(process.cwd(), 'hooks-config.mjs');
+        if (fs.existsSync(configPath)) {
+          const importedConfig = await import(configPath);
+          config = importedConfig.default;
+        }
+      } catch (error) {
+        // Ignore error, use default config
+      }
+    }
+  } catch (error) {
+    // Ignore error, use default config
+  }
+
+  // Check if the hook is disabled
+  if (!config.secrets || config.secrets.enabled === false) {
+    console.log('ℹ️ Secret scan is disabled in hooks-config.js');
+    return;
+  }
+
+  console.log('🔍 Scanning staged changes for secrets...');
+
+  const allowlistFile = config.secrets.allowlistFile || '.secrets-allowlist';
+  const entropyThreshold = config.secrets.entropyThreshold || 3.5;
+
+  // Marker that accepts every finding on the line it appears on
+  const inlineAllowMarker = 'hooks-allow-secret';
+
+  // Files whose contents are hashes and checksums rather than credentials
+  const skippedFiles = [
+    'package-lock.json',
+    'npm-shrinkwrap.json',
+    'yarn.lock',
+    'pnpm-lock.yaml',
+    'bun.lockb',
+    allowlistFile
+  ];
+
+  // Well-known credential formats. The first capture group (or the whole
+  // match) is the secret that gets masked and fingerprinted.
+  const rules = [
+    { name: 'AWS access key ID', pattern: /\b((?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16})\b/ },
+    { name: 'AWS secret access key', pattern: /aws.{0,20}?(?:secret|private).{0,20}?['"`]([0-9a-zA-Z/+]{40})['"`]/i },
+    { name: 'GitHub token', pattern: /\b(gh[pousr]_[A-Za-z0-9]{36,255})\b/ },
+    { name: 'GitHub fine-grained token', pattern: /\b(github_pat_[A-Za-z0-9_]{82})\b/ },
+    { name: 'Stripe secret key', pattern: /\b((?:sk|rk)_(?:live|test)_[0-9a-zA-Z]{24,99})\b/ },
+    { name: 'Google API key', pattern: /\b(AIza[0-9A-Za-z_-]{35})(?![0-9A-Za-z_-])/ },
+    { name: 'Slack token', pattern: /\b(xox[abprs]-[0-9A-Za-z-]{10,})\b/ },
+    { name: 'Slack webhook URL', pattern: /(https:\/\/hooks\.slack\.com\/services\/T[0-9A-Za-z_]+\/B[0-9A-Za-z_]+\/[0-9A-Za-z_]+)/ },
+    { name: 'Private key', pattern: /(-----BEGIN (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----)/ },
+    { name: 'JSON Web Token', pattern: /\b(eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/ }
+  ];
+
+  // Assignments to secret-sounding names, e.g. apiKey = '...' or "password": "..."
+  const assignmentPattern = /(?:secret|token|passw(?:or)?d|pwd|api[_-]?key|access[_-]?key|auth[_-]?key|private[_-]?key|client[_-]?secret|credentials?)[\w.-]*['"`]?\s*(?::|=|=>)\s*['"`]([^'"`\s]{16,})['"`]/ig;
+
+  // Values that are clearly not real credentials
+  const placeholderPattern = /^(?:x+|\*+|\.+)$|your[_-]|example|placeholder|changeme|dummy|\$\{|process\.env|import\.meta\.env|<[^>]*>/i;
+
+  // Shannon entropy in bits per character
+  function entropy(value) {
+    const counts = {};
+    for (const char of value) {
+      counts[char] = (counts[char] || 0) + 1;
+    }
+    return Object.values(counts).reduce((sum, count) => {
+      const p = count / value.length;
+      return sum - p * Math.log2(p);
+    }, 0);
+  }
+
+  // Keep enough of the secret to recognise it, never the secret itself
+  function mask(secret) {
+    if (secret.startsWith('-----BEGIN')) {
+      return secret;
+    }
+    const visible = secret.length > 12 ? 4 : 0;
+    return `${secret.slice(0, visible)}${'*'.repeat(Math.min(secret.length - visible, 12))} (${secret.length} chars)`;
+  }
+
+  // Stable id for a finding that can go in the allowlist without revealing the value
+  function fingerprint(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex').slice(0, 16);
+  }
+
+  // Simple glob matching for allowlist paths: * stays within a folder, ** crosses folders
+  function globToRegExp(glob) {
+    const source = glob
+      .replace(/\/$/, '/**')
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*\*\/?/g, '\u0000')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]')
+      .replace(/\u0000/g, '.*');
+    return new RegExp(glob.includes('/') ? `^${source}$` : `(^|/)${source}$`);
+  }
+
+  // The allowlist holds path globs to skip and fingerprints of accepted findings:
+  //   test/fixtures/**
+  //   fingerprint:3f2a1b9c0d4e5f67
+  const allowedPaths = [];
+  const allowedFingerprints = new Set();
+  const allowlistPath = path.join(process.cwd(), allowlistFile);
+
+  if (fs.existsSync(allowlistPath)) {
+    fs.readFileSync(allowlistPath, 'utf8').split(/\r?\n/).forEach(line => {
+      const entry = line.trim();
+      if (!entry || entry.startsWith('#')) {
+        return;
+      }
+      if (entry.startsWith('fingerprint:')) {
+        allowedFingerprints.add(entry.slice('fingerprint:'.length).trim());
+      } else {
+        allowedPaths.push(globToRegExp(entry));
+      }
+    });
+  }
+
+  const isSkipped = file => skippedFiles.includes(path.basename(file)) ||
+    allowedPaths.some(regex => regex.test(file));
+
+  // Added lines of the staged diff, with their line numbers in the new file
+  function getAddedLines() {
+    const diff = execFileSync('git', [
+      '-c', 'core.quotepath=off',
+      'diff', '--cached', '--no-color', '--no-ext-diff', '-U0', '--diff-filter=ACMR'
+    ], { maxBuffer: 64 * 1024 * 1024 }).toString();
+
+    const added = [];
+    let file = null;
+    let lineNumber = 0;
+
+    diff.split('\n').forEach(line => {
+      if (line.startsWith('+++ ')) {
+        const target = line.slice(4).replace(/^"(.*)"$/, '$1');
+        file = target === '/dev/null' ? null : target.replace(/^b\//, '');
+      } else if (line.startsWith('@@')) {
+        const match = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+        lineNumber = match ? parseInt(match[1], 10) : 0;
+      } else if (line.startsWith('+') && file) {
+        added.push({ file, line: lineNumber, text: line.slice(1) });
+        lineNumber++;
+      }
+    });
+
+    return added;
+  }
+
+  function scanLine(text) {
+    const found = [];
+
+    rules.forEach(({ name, pattern }) => {
+      const match = text.match(pattern);
+      if (match) {
+        found.push({ type: name, secret: match[1] || match[0] });
+      }
+    });
+
+    // Generic assignments only count when the value looks random and was
+    // not already reported by a specific rule
+    for (const match of text.matchAll(assignmentPattern)) {
+      const value = match[1];
+      if (placeholderPattern.test(value) || entropy(value) < entropyThreshold) {
+        continue;
+      }
+      if (found.some(({ secret }) => secret.includes(value) || value.includes(secret))) {
+        continue;
+      }
+      found.push({ type: 'High-entropy secret assignment', secret: value });
+    }
+
+    return found;
+  }
+
+  let addedLines;
+  try {
+    addedLines = getAddedLines();
+  } catch (error) {
+    console.error('❌ Error reading staged changes:', error.message);
+    return;
+  }
+
+  const findings = [];
+
+  addedLines.forEach(({ file, line, text }) => {
+    if (isSkipped(file) || text.includes(inlineAllowMarker)) {
+      return;
+    }
+    scanLine(text).forEach(({ type, secret }) => {
+      const id = fingerprint(secret);
+      if (!allowedFingerprints.has(id)) {
+        findings.push({ file, line, type, masked: mask(secret), id });
+      }
+    });
+  });
+
+  if (findings.length === 0) {
+    console.log('✅ No secrets found in staged changes.');
+    return;
+  }
+
+  // Determine if we should enforce or just warn based on config
+  const shouldEnforce = config.secrets.enforce === true;
+  const log = shouldEnforce ? console.error : console.warn;
+
+  if (shouldEnforce) {
+    console.error('❌ ERROR: Found possible secrets in staged changes:');
+  } else {
+    console.warn('⚠️ WARNING: Found possible secrets in staged changes:');
+  }
+
+  findings.forEach(({ file, line, type, masked, id }) => {
+    log(`  - ${file}:${line}  ${type}  ${masked}  [fingerprint:${id}]`);
+  });
+
+  log('\n🔐 Move these values to environment variables or a secrets manager, and rotate any that were real.');
+  log(`For a false positive, add a "${inlineAllowMarker}" comment to the line,`);
+  log(`or add its fingerprint:<id> line (or a path glob) to ${allowlistFile}.`);
+
+  if (shouldEnforce) {
+    console.error('You can bypass this check with git commit --no-verify, but this is not recommended.');
+    console.error('Alternatively, set enforce: false for secrets in hooks-config.js to make this a warning only.');
+    process.exit(1);
+  } else {
+    console.warn('This is just a warning and will not prevent your commit.');
+    console.warn('To block commits containing secrets, set enforce: true for secrets in hooks-config.js.');
+  }
+})().catch(error => {
+  console.error('❌ Error:', error.message);
+  // Don't exit with error code to allow commit to proceed
+});
@@ -9,6 +9,42 @@ const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 
+// Commands for each supported package manager
+const packageManagerCommands = {
+  npm: { install: 'npm install', addDev: 'npm install --save-dev', run: 'npm run', exec: 'npx' },
+  yarn: { install: 'yarn install', addDev: 'yarn add --dev', run: 'yarn run', exec: 'yarn' },
+  pnpm: { install: 'pnpm install', addDev: 'pnpm add --save-dev', run: 'pnpm run', exec: 'pnpm exec' },
+  bun: { install: 'bun install', addDev: 'bun add --dev', run: 'bun run', exec: 'bunx' }
+};
+
+// Detect the project's package manager: the packageManager option in
+// hooks-config.js, then the packageManager field in package.json, then the lockfile
+function detectPackageManager(dir) {
+  const candidates = [];
+  
+  try {
+    candidates.push(require(path.join(dir, 'hooks-config.js')).packageManager);
+  } catch (error) {
+    // No usable config file, keep detecting
+  }
+  
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+    candidates.push(String(packageJson.packageManager || '').split('@')[0]);
+  } catch (error) {
+    // No usable package.json, keep detecting
+  }
+  
+  const lockfiles = { 'pnpm-lock.yaml': 'pnpm', 'yarn.lock': 'yarn', 'bun.lockb': 'bun', 'bun.lock': 'bun' };
+  for (const [lockfile, name] of Object.entries(lockfiles)) {
+    if (fs.existsSync(path.join(dir, lockfile))) {
+      candidates.push(name);
+    }
+  }
+  
+  return candidates.find(name => packageManagerCommands[name]) || 'npm';
+}
+
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout
@@ -47,6 +83,16 @@ fs.copyFileSync(
   path.join(scriptsDir, 'check-gitignore.js')
 );
 
+fs.copyFileSync(
+  path.join(__dirname, 'scripts', 'check-secrets.js'),
+  path.join(scriptsDir, 'check-secrets.js')
+);
+
+fs.copyFileSync(
+  path.join(__dirname, 'scripts', 'check-env.js'),
+  path.join(scriptsDir, 'check-env.js')
+);
+
 fs.copyFileSync(
   path.join(__dirname, 'scripts', 'check-lowercase.js'),
   path.join(scriptsDir, 'check-lowercase.js')
@@ -78,16 +124,22 @@ fs.copyFileSync(
 try {
   fs.chmodSync(path.join(scriptsDir, 'build-react-apps.js'), '755');
   fs.chmodSync(path.join(scriptsDir, 'check-gitignore.js'), '755');
+  fs.chmodSync(path.join(scriptsDir, 'check-secrets.js'), '755');
+  fs.chmodSync(path.join(scriptsDir, 'check-env.js'), '755');
   fs.chmodSync(path.join(scriptsDir, 'check-lowercase.js'), '755');
   fs.chmodSync(path.join(scriptsDir, 'git-reminder.js'), '755');
 } catch (error) {
   console.warn('⚠️ Could not make scripts executable. You may need to do this manually.');
 }
 
+// Use the project's package manager for installs and the hook script
+const packageManager = detectPackageManager(process.cwd());
+const pm = packageManagerCommands[packageManager];
+
 // Install dependencies
-console.log('\n📦 Installing dependencies...');
+console.log(`\n📦 Installing dependencies with ${packageManager}...`);
 try {
-  execSync('npm install', { stdio: 'inherit' });
+  execSync(pm.install, { stdio: 'inherit' });
 } catch (error) {
   console.error('❌ Failed to install dependencies:', error.message);
   process.exit(1);
@@ -101,7 +153,7 @@ rl.question('\n🤔 Which hook would you like to use?\n1. pre-commit (runs befor
   
   // Initialize Husky
   try {
-    execSync('npx husky install', { stdio: 'inherit' });
+    execSync(`${pm.exec} husky install`, { stdio: 'inherit' });
   } catch (error) {
     console.error('❌ Failed to initialize Husky:', error.message);
     process.exit(1);
@@ -113,16 +165,22 @@ rl.question('\n🤔 Which hook would you like to use?\n1. pre-commit (runs befor
     const hookScript = `#!/bin/sh
 
 # Check .gitignore for sensitive files
-npm run check-gitignore
+${pm.run} check-gitignore
+
+# Scan staged changes for hard-coded secrets
+${pm.run} check-secrets
+
+# Block staged .env files and compare keys with .env.example
+${pm.run} check-env
 
 # Check for lowercase file names and import statements
-npm run check-lowercase
+${pm.run} check-lowercase
 
 # Run build for React apps directly
-npm run build
+${pm.run} build
 
 # Run git reminder
-npm run git-reminder
+${pm.run} git-reminder
 `;
 
     // Create the hook file
@@ -138,12 +196,14 @@ npm run git-reminder
   
   console.log('\n🎉 Setup complete! The Git hook will now:');
   console.log('1. Check and update .gitignore for sensitive files');
-  console.log('2. Check for lowercase file names and import statements');
-  console.log('3. Enforce building React apps');
-  console.log('4. Run git reminder');
+  console.log('2. Scan staged changes for hard-coded secrets');
+  console.log('3. Block staged .env files and check their keys against .env.example');
+  console.log('4. Check for lowercase file names and import statements');
+  console.log('5. Enforce building React apps');
+  console.log('6. Run git reminder');
   console.log(`These checks will run before each ${hookType === 'pre-commit' ? 'commit' : 'push'}.`);
   console.log('\n👥 To distribute to your team, they just need to run:');
-  console.log('   npm install');
+  console.log(`   ${pm.install}`);
   
   rl.close();
 });
@@ -42,8 +42,7 @@ rl.question('\n⚠️ This will remove all Git hooks set up by React Build Git H
       try {
         // Read the hook content to check if it's our hook
         const hookContent = fs.readFileSync(hookPath, 'utf8');
-        if (hookContent.includes('npm run check-gitignore') || 
-            hookContent.includes('npm run build:dev')) {
+        if (/\b(npm|yarn|pnpm|bun) run (check-gitignore|build:dev)\b/.test(hookContent)) {
           fs.unlinkSync(hookPath);
           console.log(`✅ Removed ${hook} hook`);
           hooksRemoved++;
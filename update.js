@@ -9,6 +9,42 @@ const path = require('path');
 const { execSync } = require('child_process');
 const readline = require('readline');
 
+// Commands for each supported package manager
+const packageManagerCommands = {
+  npm: { install: 'npm install', addDev: 'npm install --save-dev', run: 'npm run', exec: 'npx' },
+  yarn: { install: 'yarn install', addDev: 'yarn add --dev', run: 'yarn run', exec: 'yarn' },
+  pnpm: { install: 'pnpm install', addDev: 'pnpm add --save-dev', run: 'pnpm run', exec: 'pnpm exec' },
+  bun: { install: 'bun install', addDev: 'bun add --dev', run: 'bun run', exec: 'bunx' }
+};
+
+// Detect the project's package manager: the packageManager option in
+// hooks-config.js, then the packageManager field in package.json, then the lockfile
+function detectPackageManager(dir) {
+  const candidates = [];
+  
+  try {
+    candidates.push(require(path.join(dir, 'hooks-config.js')).packageManager);
+  } catch (error) {
+    // No usable config file, keep detecting
+  }
+  
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+    candidates.push(String(packageJson.packageManager || '').split('@')[0]);
+  } catch (error) {
+    // No usable package.json, keep detecting
+  }
+  
+  const lockfiles = { 'pnpm-lock.yaml': 'pnpm', 'yarn.lock': 'yarn', 'bun.lockb': 'bun', 'bun.lock': 'bun' };
+  for (const [lockfile, name] of Object.entries(lockfiles)) {
+    if (fs.existsSync(path.join(dir, lockfile))) {
+      candidates.push(name);
+    }
+  }
+  
+  return candidates.find(name => packageManagerCommands[name]) || 'npm';
+}
+
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout
@@ -79,6 +115,18 @@ try {
   );
   console.log('✅ Updated check-gitignore.js');
   
+  fs.copyFileSync(
+    path.join(sourceDir, 'check-secrets.js'),
+    path.join(scriptsDir, 'check-secrets.js')
+  );
+  console.log('✅ Updated check-secrets.js');
+  
+  fs.copyFileSync(
+    path.join(sourceDir, 'check-env.js'),
+    path.join(scriptsDir, 'check-env.js')
+  );
+  console.log('✅ Updated check-env.js');
+  
   fs.copyFileSync(
     path.join(sourceDir, 'check-lowercase.js'),
     path.join(scriptsDir, 'check-lowercase.js')
@@ -130,6 +178,8 @@ try {
   // Make scripts executable
   fs.chmodSync(path.join(scriptsDir, 'build-react-apps.js'), '755');
   fs.chmodSync(path.join(scriptsDir, 'check-gitignore.js'), '755');
+  fs.chmodSync(path.join(scriptsDir, 'check-secrets.js'), '755');
+  fs.chmodSync(path.join(scriptsDir, 'check-env.js'), '755');
   fs.chmodSync(path.join(scriptsDir, 'check-lowercase.js'), '755');
   fs.chmodSync(path.join(scriptsDir, 'git-reminder.js'), '755');
 } catch (error) {
@@ -151,6 +201,14 @@ try {
       packageJson.scripts['check-gitignore'] = 'node scripts/check-gitignore.js';
     }
     
+    if (!packageJson.scripts['check-secrets']) {
+      packageJson.scripts['check-secrets'] = 'node scripts/check-secrets.js';
+    }
+    
+    if (!packageJson.scripts['check-env']) {
+      packageJson.scripts['check-env'] = 'node scripts/check-env.js';
+    }
+    
     if (!packageJson.scripts['check-lowercase']) {
       packageJson.scripts['check-lowercase'] = 'node scripts/check-lowercase.js';
     }
@@ -172,6 +230,9 @@ try {
   console.error('❌ Failed to update package.json:', error.message);
 }
 
+// Use the project's package manager in the hook script
+const pm = packageManagerCommands[detectPackageManager(process.cwd())];
+
 // Update the hook
 console.log(`\n📝 Updating ${currentHookType} hook...`);
 try {
@@ -180,16 +241,22 @@ try {
 . "$(dirname "$0")/_/husky.sh"
 
 # Check .gitignore for sensitive files
-npm run check-gitignore
+${pm.run} check-gitignore
+
+# Scan staged changes for hard-coded secrets
+${pm.run} check-secrets
+
+# Block staged .env files and compare keys with .env.example
+${pm.run} check-env
 
 # Check for lowercase file names and import statements
-npm run check-lowercase
+${pm.run} check-lowercase
 
 # Run build for React apps directly
-npm run build
+${pm.run} build
 
 # Run git reminder
-npm run git-reminder
+${pm.run} git-reminder
 `;
   
   fs.writeFileSync(hookPath, hookContent);